@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { ERROR_CODES, createConnectError, buildErrorPayload } = require('./errors');
+const { authenticateHttp } = require('./auth');
+
+// Role and permission checks for admin features
+// Admins may do everything; sub-admins need the matching flag from their permissions tree:
+// `user.manage` for the /admin moderation namespace, `b2b.view` for the B2B review queue.
+// The HTTP diagnostics endpoint is for admins only, or for tooling holding DIAGNOSTICS_TOKEN.
+
+const ADMIN_ROLES = ['admin', 'sub_admin'];
+
+const isAdminRole = (role) => ADMIN_ROLES.includes(role);
+
+const canModerate = (role, permissions) => {
+  if (role === 'admin') {
+    return true;
+  }
+  return role === 'sub_admin' && Boolean(permissions?.user?.manage);
+};
+
+const canViewB2BRequests = (role, permissions) => {
+  if (role === 'admin') {
+    return true;
+  }
+  return role === 'sub_admin' && Boolean(permissions?.b2b?.view);
+};
+
+// Namespace middleware - runs after authentication has set socket.userRole and socket.userPermissions
+const requireModerator = (socket, next) => {
+  if (!canModerate(socket.userRole, socket.userPermissions)) {
+    return next(createConnectError(ERROR_CODES.ACCESS_DENIED, 'Moderator access required', socket.correlationId));
+  }
+  next();
+};
+
+const tokensMatch = (given, expected) => {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Express middleware for diagnostic endpoints - an `X-Diagnostics-Token` header matching
+// DIAGNOSTICS_TOKEN, or a Bearer JWT of an admin
+const requireDiagnosticsAccess = (req, res, next) => {
+  const diagnosticsToken = req.get('x-diagnostics-token');
+  if (diagnosticsToken) {
+    if (process.env.DIAGNOSTICS_TOKEN && tokensMatch(diagnosticsToken, process.env.DIAGNOSTICS_TOKEN)) {
+      return next();
+    }
+    return res.status(401).json(buildErrorPayload(ERROR_CODES.AUTH_FAILED, { message: 'Invalid diagnostics token' }));
+  }
+
+  authenticateHttp(req, res, () => {
+    if (req.userRole !== 'admin') {
+      return res.status(403).json(buildErrorPayload(ERROR_CODES.ACCESS_DENIED, { message: 'Admin access required' }));
+    }
+    next();
+  });
+};
+
+module.exports = {
+  ADMIN_ROLES,
+  isAdminRole,
+  canModerate,
+  canViewB2BRequests,
+  requireModerator,
+  requireDiagnosticsAccess
+};
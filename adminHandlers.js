@@ -0,0 +1,468 @@
+const mongoose = require('mongoose');
+const { ERROR_CODES, getRequestId, classifyError, emitError, buildErrorPayload } = require('./errors');
+const { canModerate } = require('./adminAccess');
+const { getMessageRoom } = require('./conversationKeys');
+const { updateLastMessagePreview, setUnreadCount, emitConversationUpdated } = require('./conversations');
+const { deleteNotificationsByKey } = require('./notifications');
+const { emitUnreadUpdate } = require('./unreadCounters');
+const {
+  waitForDB,
+  formatMessage,
+  populateSender,
+  buildConversationFilter,
+  getMessageHistory
+} = require('./socketHandlers');
+const { logger } = require('./logger');
+
+// Moderation events for the /admin namespace
+// Connections are already limited to moderators (adminAccess.requireModerator), but roles and
+// permissions are refreshed by socket revalidation, so every event checks them again.
+// Every action - including reading a conversation - is written to the moderationactions collection
+// before it takes effect; an action that can't be recorded is not carried out.
+
+const log = logger.child({ component: 'admin' });
+
+const MODERATION_ACTIONS_COLLECTION = 'moderationactions';
+const HISTORY_DEFAULT_LIMIT = 50;
+const HISTORY_MAX_LIMIT = 200;
+const CONNECTIONS_MAX_LIMIT = 500;
+const REASON_MAX_LENGTH = 500;
+const MUTE_DEFAULT_MINUTES = 60;
+const MUTE_MAX_MINUTES = 30 * 24 * 60;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+const isValidId = (id) => typeof id === 'string' && mongoose.Types.ObjectId.isValid(id);
+const cleanReason = (reason) => (typeof reason === 'string' ? reason.trim().slice(0, REASON_MAX_LENGTH) : '') || null;
+
+// Write an audit record for a moderation action
+const recordModerationAction = async (socket, action, target, details = {}) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+  await db.collection(MODERATION_ACTIONS_COLLECTION).insertOne({
+    action,
+    actor: toObjectId(socket.userId),
+    actorRole: socket.userRole,
+    target,
+    details,
+    createdAt: new Date()
+  });
+};
+
+// Full message as moderators see it: hidden and deleted content plus edit history
+const formatModeratedMessage = (messageDoc) => ({
+  ...formatMessage(messageDoc),
+  message: messageDoc.message,
+  attachments: messageDoc.attachments || [],
+  editHistory: messageDoc.editHistory || [],
+  hiddenBy: messageDoc.hiddenBy ? messageDoc.hiddenBy.toString() : null,
+  hiddenReason: messageDoc.hiddenReason || null,
+  // Content filter results: the text before masking and the review state of flagged messages
+  originalMessage: messageDoc.originalMessage || null,
+  flags: messageDoc.flags || [],
+  flaggedAt: messageDoc.flaggedAt || null,
+  flagReviewedAt: messageDoc.flagReviewedAt || null,
+  flagReviewedBy: messageDoc.flagReviewedBy ? messageDoc.flagReviewedBy.toString() : null
+});
+
+const getUser = async (userId) => {
+  return mongoose.connection.db.collection('users').findOne(
+    { _id: toObjectId(userId) },
+    { projection: { username: 1, role: 1, mutedUntil: 1 } }
+  );
+};
+
+module.exports = (io, socket) => {
+  const chat = io.of('/');
+
+  // Register a moderator event: re-checks the role, waits for the DB and reports failures
+  // the same way the chat handlers do
+  const onModeratorEvent = (event, handler) => {
+    socket.on(event, async (data, callback) => {
+      const respond = typeof callback === 'function' ? callback : () => {};
+      const fail = (code, message) => emitError(socket, code, { event, requestId: getRequestId(data), message, respond });
+
+      try {
+        if (!canModerate(socket.userRole, socket.userPermissions)) {
+          fail(ERROR_CODES.ACCESS_DENIED, 'Moderator access required');
+          return;
+        }
+
+        const dbReady = await waitForDB();
+        if (!dbReady) {
+          fail(ERROR_CODES.DB_UNAVAILABLE);
+          return;
+        }
+
+        await handler(data || {}, respond, fail);
+      } catch (error) {
+        log.error('Handler failed', { error });
+        fail(classifyError(error));
+      }
+    });
+  };
+
+  // Tell both participants a message was hidden or restored, and refresh the inbox preview
+  const broadcastHidden = async (messageDoc) => {
+    const formattedMessage = formatMessage(messageDoc);
+    const room = getMessageRoom(messageDoc);
+
+    // Hidden content shouldn't linger in the receiver's notification inbox
+    if (messageDoc.hiddenAt) {
+      await deleteNotificationsByKey(formattedMessage.receiver, `new-message:${formattedMessage._id}`)
+        .catch(error => log.warn('Could not remove notifications for message', { messageId: formattedMessage._id, error }));
+    }
+
+    chat.to(room)
+      .to(`user-${formattedMessage.sender?._id}`)
+      .to(`user-${formattedMessage.receiver}`)
+      .emit('message-hidden', {
+        message: formattedMessage,
+        quotationId: formattedMessage.quotation,
+        rfqId: formattedMessage.rfq,
+        productId: formattedMessage.product
+      });
+
+    try {
+      // Hiding or restoring an unread message changes the receiver's unread count
+      const unread = messageDoc.readAt ? null : await emitUnreadUpdate(io, formattedMessage.receiver, messageDoc);
+      if (unread) {
+        await setUnreadCount(room, formattedMessage.receiver, unread.count);
+      }
+      const conversation = await updateLastMessagePreview(room, messageDoc);
+      if (conversation) {
+        emitConversationUpdated(io, conversation);
+      }
+    } catch (conversationError) {
+      log.warn('Could not update conversation', { room, error: conversationError });
+    }
+  };
+
+  // Live chat connections across all instances, grouped by user
+  onModeratorEvent('list-connections', async (data, respond) => {
+    const sockets = await chat.fetchSockets();
+    const byUser = new Map();
+    sockets.forEach(s => {
+      const userId = s.data?.userId;
+      if (!userId) {
+        return;
+      }
+      if (!byUser.has(userId)) {
+        byUser.set(userId, { userId, role: s.data.role || null, connections: [] });
+      }
+      byUser.get(userId).connections.push({
+        socketId: s.id,
+        connectedAt: s.data.connectedAt || null,
+        rooms: [...s.rooms].filter(room => room !== s.id)
+      });
+    });
+
+    const users = [...byUser.values()];
+    const limit = Math.min(Math.max(parseInt(data.limit, 10) || CONNECTIONS_MAX_LIMIT, 1), CONNECTIONS_MAX_LIMIT);
+    respond({
+      ok: true,
+      totalSockets: sockets.length,
+      totalUsers: users.length,
+      users: users.slice(0, limit)
+    });
+  });
+
+  // Conversation and personal rooms with their member counts (socket ID rooms are left out)
+  onModeratorEvent('list-rooms', async (data, respond) => {
+    const sockets = await chat.fetchSockets();
+    const counts = new Map();
+    sockets.forEach(s => {
+      s.rooms.forEach(room => {
+        if (room !== s.id) {
+          counts.set(room, (counts.get(room) || 0) + 1);
+        }
+      });
+    });
+
+    const prefix = typeof data.prefix === 'string' ? data.prefix : '';
+    const rooms = [...counts.entries()]
+      .filter(([room]) => room.startsWith(prefix))
+      .map(([room, sockets]) => ({ room, sockets }))
+      .sort((a, b) => b.sockets - a.sockets);
+    respond({ ok: true, rooms });
+  });
+
+  // Any conversation's full history, for dispute resolution
+  // Product conversations are identified by the product and both participants
+  onModeratorEvent('view-history', async (data, respond, fail) => {
+    const { quotationId, rfqId, productId, userId, otherUserId, before } = data;
+    const limit = Math.min(Math.max(parseInt(data.limit, 10) || HISTORY_DEFAULT_LIMIT, 1), HISTORY_MAX_LIMIT);
+
+    const contextId = quotationId || rfqId || productId;
+    if (!contextId) {
+      fail(ERROR_CODES.VALIDATION_FAILED, 'Either quotationId, rfqId, or productId is required');
+      return;
+    }
+    if (!isValidId(contextId)) {
+      fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid conversation ID');
+      return;
+    }
+    if (!quotationId && !rfqId && (!isValidId(userId) || !isValidId(otherUserId))) {
+      fail(ERROR_CODES.VALIDATION_FAILED, 'Product conversations require userId and otherUserId');
+      return;
+    }
+
+    const filter = buildConversationFilter({ quotationId, rfqId, productId }, userId, otherUserId);
+
+    // Audit before any content is returned
+    await recordModerationAction(socket, 'view-history', {
+      quotation: quotationId ? toObjectId(quotationId) : null,
+      rfq: rfqId ? toObjectId(rfqId) : null,
+      product: productId ? toObjectId(productId) : null,
+      users: productId && !quotationId && !rfqId ? [toObjectId(userId), toObjectId(otherUserId)] : []
+    }, { before: before || null, limit });
+
+    const history = await getMessageHistory(filter, { before, limit });
+    respond({
+      ok: true,
+      messages: history.messages.map(formatModeratedMessage),
+      nextCursor: history.nextCursor,
+      hasMore: history.hasMore
+    });
+    log.info('Moderator viewed history', { count: history.messages.length });
+  });
+
+  // Hide a message from both participants, or restore it with hidden: false
+  onModeratorEvent('hide-message', async (data, respond, fail) => {
+    const { messageId } = data;
+    const hidden = data.hidden !== false;
+    const reason = cleanReason(data.reason);
+
+    if (!isValidId(messageId)) {
+      fail(ERROR_CODES.VALIDATION_FAILED, 'Valid message ID is required');
+      return;
+    }
+
+    const db = mongoose.connection.db;
+    const target = await db.collection('quotationmessages').findOne(
+      { _id: toObjectId(messageId) },
+      { projection: { sender: 1, receiver: 1 } }
+    );
+    if (!target) {
+      fail(ERROR_CODES.NOT_FOUND, 'Message not found');
+      return;
+    }
+
+    // Audit before the message changes
+    await recordModerationAction(socket, hidden ? 'hide-message' : 'unhide-message', {
+      message: target._id,
+      users: [target.sender, target.receiver]
+    }, { reason });
+
+    const update = hidden
+      ? { $set: { hiddenAt: new Date(), hiddenBy: toObjectId(socket.userId), hiddenReason: reason } }
+      : { $unset: { hiddenAt: '', hiddenBy: '', hiddenReason: '' } };
+    const result = await db.collection('quotationmessages').findOneAndUpdate(
+      { _id: target._id },
+      update,
+      { returnDocument: 'after' }
+    );
+    if (!result) {
+      fail(ERROR_CODES.NOT_FOUND, 'Message not found');
+      return;
+    }
+
+    const messageDoc = await populateSender(db, result);
+    await broadcastHidden(messageDoc);
+
+    respond({ ok: true, message: formatModeratedMessage(messageDoc) });
+    log.info(hidden ? 'Moderator hid message' : 'Moderator restored message', { messageId });
+  });
+
+  // Messages flagged by the content filter that nobody has reviewed yet, newest first
+  onModeratorEvent('list-flagged-messages', async (data, respond, fail) => {
+    const limit = Math.min(Math.max(parseInt(data.limit, 10) || HISTORY_DEFAULT_LIMIT, 1), HISTORY_MAX_LIMIT);
+    const filter = { flaggedAt: { $exists: true }, flagReviewedAt: { $exists: false } };
+
+    if (data.before) {
+      if (!isValidId(data.before)) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid cursor');
+        return;
+      }
+      const cursorMessage = await mongoose.connection.db.collection('quotationmessages').findOne(
+        { _id: toObjectId(data.before) },
+        { projection: { flaggedAt: 1 } }
+      );
+      if (!cursorMessage?.flaggedAt) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid cursor');
+        return;
+      }
+      filter.$or = [
+        { flaggedAt: { $lt: cursorMessage.flaggedAt } },
+        { flaggedAt: cursorMessage.flaggedAt, _id: { $lt: cursorMessage._id } }
+      ];
+    }
+
+    const messages = await mongoose.connection.db.collection('quotationmessages')
+      .find(filter)
+      .sort({ flaggedAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .toArray();
+    const hasMore = messages.length > limit;
+    if (hasMore) {
+      messages.pop();
+    }
+
+    respond({
+      ok: true,
+      messages: messages.map(formatModeratedMessage),
+      nextCursor: hasMore ? messages[messages.length - 1]._id.toString() : null,
+      hasMore
+    });
+  });
+
+  // Take a flagged message off the review queue, optionally hiding it at the same time
+  onModeratorEvent('review-flagged-message', async (data, respond, fail) => {
+    const { messageId } = data;
+    const reason = cleanReason(data.reason);
+
+    if (!isValidId(messageId)) {
+      fail(ERROR_CODES.VALIDATION_FAILED, 'Valid message ID is required');
+      return;
+    }
+
+    const db = mongoose.connection.db;
+    const target = await db.collection('quotationmessages').findOne(
+      { _id: toObjectId(messageId), flaggedAt: { $exists: true } },
+      { projection: { sender: 1, receiver: 1, flags: 1 } }
+    );
+    if (!target) {
+      fail(ERROR_CODES.NOT_FOUND, 'Flagged message not found');
+      return;
+    }
+
+    // Audit before the message changes
+    await recordModerationAction(socket, 'review-flagged-message', {
+      message: target._id,
+      users: [target.sender, target.receiver]
+    }, { reason, flags: target.flags || [], hidden: data.hide === true });
+
+    const now = new Date();
+    const changes = { flagReviewedAt: now, flagReviewedBy: toObjectId(socket.userId) };
+    if (data.hide === true) {
+      Object.assign(changes, { hiddenAt: now, hiddenBy: toObjectId(socket.userId), hiddenReason: reason });
+    }
+    const result = await db.collection('quotationmessages').findOneAndUpdate(
+      { _id: target._id, flaggedAt: { $exists: true } },
+      { $set: changes },
+      { returnDocument: 'after' }
+    );
+    if (!result) {
+      fail(ERROR_CODES.NOT_FOUND, 'Flagged message not found');
+      return;
+    }
+
+    const messageDoc = await populateSender(db, result);
+    if (data.hide === true) {
+      await broadcastHidden(messageDoc);
+    }
+
+    respond({ ok: true, message: formatModeratedMessage(messageDoc) });
+    log.info('Moderator reviewed flagged message', { messageId, hidden: data.hide === true });
+  });
+
+  // Disconnect every chat socket of a user; they may reconnect unless blocked or muted separately
+  onModeratorEvent('kick-user', async (data, respond, fail) => {
+    const { userId } = data;
+    const reason = cleanReason(data.reason);
+
+    if (!isValidId(userId)) {
+      fail(ERROR_CODES.VALIDATION_FAILED, 'Valid user ID is required');
+      return;
+    }
+
+    const user = await getUser(userId);
+    if (!user) {
+      fail(ERROR_CODES.NOT_FOUND, 'User not found');
+      return;
+    }
+    if (user.role === 'admin') {
+      fail(ERROR_CODES.ACCESS_DENIED, 'Admins cannot be kicked');
+      return;
+    }
+
+    const room = `user-${userId}`;
+    const sockets = await chat.in(room).fetchSockets();
+
+    // Audit before anyone is disconnected
+    await recordModerationAction(socket, 'kick-user', { user: user._id }, { reason, sockets: sockets.length });
+
+    chat.to(room).emit('error', buildErrorPayload(ERROR_CODES.ACCESS_DENIED, {
+      event: 'kick',
+      message: reason ? `Disconnected by a moderator: ${reason}` : 'Disconnected by a moderator'
+    }));
+    chat.in(room).disconnectSockets(true);
+
+    respond({ ok: true, userId, disconnected: sockets.length });
+    log.info('Moderator kicked user', { targetUserId: userId, sockets: sockets.length });
+  });
+
+  // Stop a user from sending messages until mutedUntil; they can still read
+  onModeratorEvent('mute-user', async (data, respond, fail) => {
+    const { userId } = data;
+    const reason = cleanReason(data.reason);
+    const minutes = Math.min(Math.max(parseInt(data.minutes, 10) || MUTE_DEFAULT_MINUTES, 1), MUTE_MAX_MINUTES);
+
+    if (!isValidId(userId)) {
+      fail(ERROR_CODES.VALIDATION_FAILED, 'Valid user ID is required');
+      return;
+    }
+
+    const user = await getUser(userId);
+    if (!user) {
+      fail(ERROR_CODES.NOT_FOUND, 'User not found');
+      return;
+    }
+    if (user.role === 'admin') {
+      fail(ERROR_CODES.ACCESS_DENIED, 'Admins cannot be muted');
+      return;
+    }
+
+    const mutedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+    // Audit before the user is muted
+    await recordModerationAction(socket, 'mute-user', { user: user._id }, { reason, minutes, mutedUntil });
+
+    await mongoose.connection.db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: { mutedUntil } }
+    );
+
+    chat.to(`user-${userId}`).emit('mute-changed', { mutedUntil, reason });
+    respond({ ok: true, userId, mutedUntil });
+    log.info('Moderator muted user', { targetUserId: userId, mutedUntil });
+  });
+
+  onModeratorEvent('unmute-user', async (data, respond, fail) => {
+    const { userId } = data;
+
+    if (!isValidId(userId)) {
+      fail(ERROR_CODES.VALIDATION_FAILED, 'Valid user ID is required');
+      return;
+    }
+
+    const user = await getUser(userId);
+    if (!user) {
+      fail(ERROR_CODES.NOT_FOUND, 'User not found');
+      return;
+    }
+
+    // Audit before the user is unmuted
+    await recordModerationAction(socket, 'unmute-user', { user: user._id }, {});
+
+    await mongoose.connection.db.collection('users').updateOne(
+      { _id: user._id },
+      { $unset: { mutedUntil: '' } }
+    );
+
+    chat.to(`user-${userId}`).emit('mute-changed', { mutedUntil: null, reason: null });
+    respond({ ok: true, userId, mutedUntil: null });
+    log.info('Moderator unmuted user', { targetUserId: userId });
+  });
+};
@@ -0,0 +1,113 @@
+const express = require('express');
+const multer = require('multer');
+const mongoose = require('mongoose');
+const { authenticateHttp } = require('./auth');
+const { ERROR_CODES, buildErrorPayload } = require('./errors');
+const {
+  config,
+  getStorage,
+  validateUpload,
+  createAttachment,
+  getAttachmentForUser
+} = require('./attachments');
+const { logger } = require('./logger');
+
+// HTTP endpoints for chat attachments
+// POST /attachments      multipart upload (field `file`), returns { success, attachment }
+// GET  /attachments/:id  download, for the uploader and the message's sender/receiver
+
+const log = logger.child({ component: 'attachments' });
+
+const router = express.Router();
+
+// Keep uploads in memory - they are size-limited and validated before being stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.maxSize, files: 1 }
+}).single('file');
+
+const sendError = (res, status, code, message) => {
+  res.status(status).type('json').json({ success: false, ...buildErrorPayload(code, { message }) });
+};
+
+// Reject requests while the database is unavailable
+const requireDB = (req, res, next) => {
+  if (mongoose.connection.readyState !== 1) {
+    return sendError(res, 503, ERROR_CODES.DB_UNAVAILABLE);
+  }
+  next();
+};
+
+router.post('/', authenticateHttp, requireDB, (req, res) => {
+  upload(req, res, async (uploadError) => {
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? `File exceeds the ${config.maxSize} byte limit`
+        : 'Invalid upload';
+      return sendError(res, uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400, ERROR_CODES.VALIDATION_FAILED, message);
+    }
+
+    if (!req.file) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'A file is required in the `file` field');
+    }
+
+    const file = {
+      originalName: req.file.originalname,
+      mimeType: (req.file.mimetype || '').toLowerCase(),
+      size: req.file.size,
+      buffer: req.file.buffer
+    };
+
+    const validationError = validateUpload(file);
+    if (validationError) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, validationError);
+    }
+
+    try {
+      const attachment = await createAttachment(req.userId, file);
+      log.info('Attachment uploaded', { userId: req.userId, attachmentId: attachment.id, mimeType: file.mimeType, size: file.size });
+      res.status(201).json({ success: true, attachment });
+    } catch (error) {
+      log.error('Upload error', { userId: req.userId, error });
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR);
+    }
+  });
+});
+
+router.get('/:id', authenticateHttp, requireDB, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Invalid attachment ID');
+    }
+
+    const attachment = await getAttachmentForUser(req.userId, req.params.id);
+    if (!attachment) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Attachment not found');
+    }
+
+    const disposition = attachment.mimeType.startsWith('image/') ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=86400'
+    });
+
+    const stream = getStorage().createReadStream(attachment.storageKey);
+    stream.on('error', (error) => {
+      log.error('Could not read attachment', { attachmentId: attachment._id, error });
+      if (!res.headersSent) {
+        sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Attachment not found');
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    log.error('Download error', { userId: req.userId, error });
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const { createStorage } = require('./storage');
+
+// Attachment records for chat messages
+// Files are uploaded over HTTP (attachmentRoutes.js), stored through the storage interface and
+// recorded in the `attachments` collection. send-message only accepts attachment IDs, which are
+// resolved here into { id, url, name, mimeType, size } records owned by the sender.
+
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024; // 10 MB
+const DEFAULT_ALLOWED_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const NAME_MAX_LENGTH = 200;
+
+// File signatures for types we can verify, so a renamed executable can't pose as an image
+const SIGNATURES = {
+  'image/jpeg': (b) => b.length > 2 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  'image/png': (b) => b.length > 7 && b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/gif': (b) => b.length > 5 && ['GIF87a', 'GIF89a'].includes(b.slice(0, 6).toString('ascii')),
+  'image/webp': (b) => b.length > 11 && b.slice(0, 4).toString('ascii') === 'RIFF' && b.slice(8, 12).toString('ascii') === 'WEBP',
+  'application/pdf': (b) => b.length > 4 && b.slice(0, 5).toString('ascii') === '%PDF-'
+};
+
+const config = {
+  maxSize: parseInt(process.env.ATTACHMENT_MAX_SIZE, 10) || DEFAULT_MAX_SIZE,
+  allowedTypes: process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(t => t.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES,
+  publicUrl: (process.env.ATTACHMENT_PUBLIC_URL || '').replace(/\/+$/, '')
+};
+
+let storage = null;
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage(process.env);
+  }
+  return storage;
+};
+
+const getCollection = () => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+  return db.collection('attachments');
+};
+
+// Format an attachment record as stored on messages and sent to clients
+const formatAttachment = (attachment) => {
+  const id = attachment._id.toString();
+  return {
+    id,
+    url: `${config.publicUrl}/attachments/${id}`,
+    name: attachment.name,
+    mimeType: attachment.mimeType,
+    size: attachment.size
+  };
+};
+
+// Check an uploaded file against the size and MIME limits; returns an error message or null
+const validateUpload = ({ mimeType, size, buffer }) => {
+  if (!size) {
+    return 'File is empty';
+  }
+  if (size > config.maxSize) {
+    return `File exceeds the ${config.maxSize} byte limit`;
+  }
+  if (!config.allowedTypes.includes(mimeType)) {
+    return `File type ${mimeType} is not allowed`;
+  }
+  if (SIGNATURES[mimeType] && !SIGNATURES[mimeType](buffer)) {
+    return `File contents do not match ${mimeType}`;
+  }
+  return null;
+};
+
+// Store an uploaded file and record it; returns the formatted attachment
+const createAttachment = async (userId, { originalName, mimeType, size, buffer }) => {
+  const collection = getCollection();
+  const storageKey = await getStorage().save(buffer);
+
+  const attachment = {
+    uploader: new mongoose.Types.ObjectId(userId),
+    storage: getStorage().name,
+    storageKey,
+    name: (originalName || 'attachment').replace(/[\\/\r\n]/g, '_').slice(0, NAME_MAX_LENGTH),
+    mimeType,
+    size,
+    message: null,
+    createdAt: new Date()
+  };
+
+  try {
+    const result = await collection.insertOne(attachment);
+    attachment._id = result.insertedId;
+  } catch (error) {
+    // Don't leave orphaned files behind
+    await getStorage().remove(storageKey).catch(() => {});
+    throw error;
+  }
+
+  return formatAttachment(attachment);
+};
+
+// Resolve attachment IDs sent with send-message into formatted records
+// Every ID must exist, belong to the sender and not already be attached to a message.
+// Returns { attachments } or { error }.
+const resolveAttachments = async (userId, attachmentIds) => {
+  if (attachmentIds === undefined || attachmentIds === null) {
+    return { attachments: [] };
+  }
+  if (!Array.isArray(attachmentIds)) {
+    return { error: 'attachments must be an array of attachment IDs' };
+  }
+  if (attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    return { error: `At most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments are allowed per message` };
+  }
+  if (attachmentIds.length === 0) {
+    return { attachments: [] };
+  }
+
+  const ids = [...new Set(attachmentIds.map(id => (typeof id === 'string' ? id : id?.id)))];
+  if (!ids.every(id => typeof id === 'string' && mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid attachment ID' };
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  const found = await getCollection().find({
+    _id: { $in: ids.map(id => new ObjectId(id)) },
+    uploader: new ObjectId(userId),
+    message: null
+  }).toArray();
+
+  if (found.length !== ids.length) {
+    return { error: 'Attachment not found' };
+  }
+
+  // Keep the order the client sent
+  const byId = new Map(found.map(a => [a._id.toString(), a]));
+  return { attachments: ids.map(id => formatAttachment(byId.get(id))) };
+};
+
+// Mark attachments as used by a message before it is saved, so two sends can't both use an upload
+// Returns false, with nothing left claimed, if another message got any of them first
+const claimAttachments = async (attachments, messageId) => {
+  if (!attachments || attachments.length === 0) {
+    return true;
+  }
+  const ObjectId = mongoose.Types.ObjectId;
+  const result = await getCollection().updateMany(
+    { _id: { $in: attachments.map(a => new ObjectId(a.id)) }, message: null },
+    { $set: { message: messageId } }
+  );
+  if (result.modifiedCount === attachments.length) {
+    return true;
+  }
+  await releaseAttachments(attachments, messageId);
+  return false;
+};
+
+// Free attachments claimed for a message that wasn't saved
+// A timed-out insert may still have gone through, so they're kept if the message exists
+const releaseAttachments = async (attachments, messageId) => {
+  if (!attachments || attachments.length === 0) {
+    return;
+  }
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+  if (await db.collection('quotationmessages').countDocuments({ _id: messageId }, { limit: 1 })) {
+    return;
+  }
+  const ObjectId = mongoose.Types.ObjectId;
+  await getCollection().updateMany(
+    { _id: { $in: attachments.map(a => new ObjectId(a.id)) }, message: messageId },
+    { $set: { message: null } }
+  );
+};
+
+// Find an attachment the user may download: their own upload, or one on a message they sent or received
+const getAttachmentForUser = async (userId, attachmentId) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+  const ObjectId = mongoose.Types.ObjectId;
+  const attachment = await getCollection().findOne({ _id: new ObjectId(attachmentId) });
+  if (!attachment) {
+    return null;
+  }
+  if (attachment.uploader.toString() === userId) {
+    return attachment;
+  }
+  if (attachment.message) {
+    const message = await db.collection('quotationmessages').findOne(
+      { _id: attachment.message },
+      { projection: { sender: 1, receiver: 1 } }
+    );
+    if (message && (message.sender?.toString() === userId || message.receiver?.toString() === userId)) {
+      return attachment;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  config,
+  getStorage,
+  formatAttachment,
+  validateUpload,
+  createAttachment,
+  resolveAttachments,
+  claimAttachments,
+  releaseAttachments,
+  getAttachmentForUser
+};
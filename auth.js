@@ -0,0 +1,192 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { ERROR_CODES, SocketError, buildErrorPayload, emitError } = require('./errors');
+const { logger } = require('./logger');
+
+// JWT authentication shared by the Socket.IO middleware and HTTP routes
+// Tokens are issued by the main backend and signed with the same JWT_SECRET.
+// A valid signature is not enough: the user must exist with status `active`, and the token
+// must not be revoked - either by jti in the revokedtokens collection, or by being issued
+// before the user's tokensValidAfter (set by the backend on logout-everywhere or password change).
+
+const log = logger.child({ component: 'auth' });
+
+const REVOKED_TOKENS_COLLECTION = 'revokedtokens';
+
+// Token from `socket.handshake.auth.token` or an `Authorization: Bearer <token>` header
+const getSocketToken = (socket) => {
+  return socket.handshake.auth?.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
+};
+
+// Token from an `Authorization: Bearer <token>` header
+const getHttpToken = (req) => {
+  return req.headers.authorization?.replace('Bearer ', '') || null;
+};
+
+// Verify a token's signature and expiry and return { userId, role, jti, issuedAt, decoded }
+const verifyToken = (token) => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET not configured');
+  }
+  const decoded = jwt.verify(token, secret);
+  return {
+    userId: decoded.userId,
+    role: decoded.role,
+    jti: decoded.jti || null,
+    issuedAt: decoded.iat ? new Date(decoded.iat * 1000) : null,
+    decoded
+  };
+};
+
+// Why a token for this user should be refused, or null if it is still good
+const getRejectionReason = (user, { issuedAt, jti }, revokedJtis) => {
+  if (!user) {
+    return 'Account not found';
+  }
+  if (user.status !== 'active') {
+    return user.status === 'blocked' ? 'Account is blocked' : 'Account is not active';
+  }
+  if (jti && revokedJtis.has(jti)) {
+    return 'Token has been revoked';
+  }
+  // JWT iat has second precision, so compare at second precision too
+  if (user.tokensValidAfter && (!issuedAt ||
+      Math.floor(issuedAt.getTime() / 1000) < Math.floor(new Date(user.tokensValidAfter).getTime() / 1000))) {
+    return 'Token has been revoked';
+  }
+  return null;
+};
+
+// Load users and revoked jtis for a set of token holders
+const loadAuthState = async (userIds, jtis) => {
+  const db = mongoose.connection.db;
+  if (!db || mongoose.connection.readyState !== 1) {
+    throw new SocketError(ERROR_CODES.SERVER_NOT_READY);
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  const [users, revoked] = await Promise.all([
+    db.collection('users').find(
+      { _id: { $in: userIds.map(id => new ObjectId(id)) } },
+      { projection: { role: 1, status: 1, permissions: 1, tokensValidAfter: 1 } }
+    ).toArray(),
+    jtis.length > 0
+      ? db.collection(REVOKED_TOKENS_COLLECTION).find({ jti: { $in: jtis } }, { projection: { jti: 1 } }).toArray()
+      : []
+  ]);
+
+  return {
+    usersById: new Map(users.map(u => [u._id.toString(), u])),
+    revokedJtis: new Set(revoked.map(r => r.jti))
+  };
+};
+
+// Verify a token and check the account behind it
+// Returns { userId, role, permissions, jti, issuedAt }; throws SocketError (AUTH_FAILED or SERVER_NOT_READY)
+const authenticateToken = async (token) => {
+  let tokenInfo;
+  try {
+    tokenInfo = verifyToken(token);
+  } catch (error) {
+    throw new SocketError(ERROR_CODES.AUTH_FAILED);
+  }
+  if (!tokenInfo.userId || !mongoose.Types.ObjectId.isValid(tokenInfo.userId)) {
+    throw new SocketError(ERROR_CODES.AUTH_FAILED);
+  }
+
+  const { usersById, revokedJtis } = await loadAuthState(
+    [tokenInfo.userId],
+    tokenInfo.jti ? [tokenInfo.jti] : []
+  );
+  const user = usersById.get(tokenInfo.userId);
+  const reason = getRejectionReason(user, tokenInfo, revokedJtis);
+  if (reason) {
+    throw new SocketError(ERROR_CODES.AUTH_FAILED, reason);
+  }
+
+  return {
+    userId: tokenInfo.userId,
+    // The stored role wins over the token's, which may be stale
+    role: user.role || tokenInfo.role,
+    permissions: user.permissions || {},
+    jti: tokenInfo.jti,
+    issuedAt: tokenInfo.issuedAt
+  };
+};
+
+// Express middleware requiring a valid token; sets req.userId, req.userRole and req.userPermissions
+const authenticateHttp = async (req, res, next) => {
+  const token = getHttpToken(req);
+  if (!token) {
+    return res.status(401).json(buildErrorPayload(ERROR_CODES.AUTH_FAILED, { message: 'Authentication token required' }));
+  }
+
+  try {
+    const auth = await authenticateToken(token);
+    req.userId = auth.userId;
+    req.userRole = auth.role;
+    req.userPermissions = auth.permissions;
+    next();
+  } catch (error) {
+    const code = error instanceof SocketError ? error.code : ERROR_CODES.AUTH_FAILED;
+    const message = error instanceof SocketError ? error.message : undefined;
+    res.status(code === ERROR_CODES.AUTH_FAILED ? 401 : 503).json(buildErrorPayload(code, { message }));
+  }
+};
+
+// Re-check every socket connected to this instance, in each of the given namespaces, and
+// disconnect those whose user was blocked or whose token was revoked since they connected
+const revalidateSockets = async (io, namespaces = ['/']) => {
+  const sockets = namespaces
+    .flatMap(name => [...io.of(name).sockets.values()])
+    .filter(socket => socket.userId);
+  if (sockets.length === 0 || mongoose.connection.readyState !== 1) {
+    return 0;
+  }
+
+  const userIds = [...new Set(sockets.map(s => s.userId))];
+  const jtis = [...new Set(sockets.map(s => s.tokenJti).filter(Boolean))];
+  const { usersById, revokedJtis } = await loadAuthState(userIds, jtis);
+
+  let disconnected = 0;
+  sockets.forEach(socket => {
+    const user = usersById.get(socket.userId);
+    const reason = getRejectionReason(user, { issuedAt: socket.tokenIssuedAt, jti: socket.tokenJti }, revokedJtis);
+    if (reason) {
+      log.warn('Disconnecting socket', { correlationId: socket.correlationId, userId: socket.userId, reason });
+      emitError(socket, ERROR_CODES.AUTH_FAILED, { event: 'revalidate', message: reason });
+      socket.disconnect(true);
+      disconnected++;
+    } else if (user.role && user.role !== socket.userRole) {
+      // Keep role-based checks current without forcing a reconnect
+      socket.userRole = user.role;
+      socket.data.role = user.role;
+    }
+    if (user) {
+      socket.userPermissions = user.permissions || {};
+    }
+  });
+  return disconnected;
+};
+
+// Run revalidateSockets periodically; returns the interval so it can be cleared
+const startSocketRevalidation = (io, intervalMs, namespaces) => {
+  const interval = setInterval(() => {
+    revalidateSockets(io, namespaces).catch(error => {
+      log.warn('Socket revalidation failed', { error });
+    });
+  }, intervalMs);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  getSocketToken,
+  getHttpToken,
+  verifyToken,
+  authenticateToken,
+  authenticateHttp,
+  revalidateSockets,
+  startSocketRevalidation
+};
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const { canViewB2BRequests } = require('./adminAccess');
+const { createCollectionWatcher } = require('./collectionWatcher');
+const { notify } = require('./notifications');
+const { logger } = require('./logger');
+
+// B2B buyer application notifications, driven by changes to users.b2bRequest:
+//   b2b-request-updated  - sent to the applicant when their request is approved or rejected
+//   b2b-requests-pending - the pending review queue, sent to admins and sub-admins with
+//                          permissions.b2b.view on connect and whenever the queue changes
+
+const log = logger.child({ component: 'b2bEvents' });
+
+const B2B_REVIEWERS_ROOM = 'b2b-reviewers';
+const REVIEWED_STATUSES = ['approved', 'rejected'];
+const PENDING_FEED_LIMIT = 50;
+
+// b2bRequest.status defaults to `pending` for every user, so only B2B buyers or users who
+// picked categories count as applicants
+const PENDING_REQUESTS_FILTER = {
+  'b2bRequest.status': 'pending',
+  $or: [
+    { role: 'b2b_buyer' },
+    { 'b2bRequest.categories.0': { $exists: true } }
+  ]
+};
+
+const isPendingApplicant = (user) => user.b2bRequest?.status === 'pending' &&
+  (user.role === 'b2b_buyer' || (user.b2bRequest.categories || []).length > 0);
+
+// Oldest requests first, as reviewers work through them
+const getPendingB2BRequests = async () => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+  const users = db.collection('users');
+  const [total, requests] = await Promise.all([
+    users.countDocuments(PENDING_REQUESTS_FILTER),
+    users.find(PENDING_REQUESTS_FILTER, { projection: { username: 1, email: 1, role: 1, b2bRequest: 1 } })
+      .sort({ 'b2bRequest.requestedAt': 1, _id: 1 })
+      .limit(PENDING_FEED_LIMIT)
+      .toArray()
+  ]);
+
+  return {
+    total,
+    requests: requests.map(user => ({
+      userId: user._id.toString(),
+      username: user.username,
+      email: user.email,
+      categories: user.b2bRequest?.categories || [],
+      requestedAt: user.b2bRequest?.requestedAt || null
+    }))
+  };
+};
+
+// Add a reviewer's socket to the feed and send the current queue
+const joinB2BReviewers = async (socket) => {
+  if (!canViewB2BRequests(socket.userRole, socket.userPermissions)) {
+    return;
+  }
+  socket.join(B2B_REVIEWERS_ROOM);
+  socket.emit('b2b-requests-pending', await getPendingB2BRequests());
+};
+
+const createB2BEvents = (io, config) => {
+  // Send the queue to this instance's reviewers, dropping sockets whose permission was revoked
+  // since they connected (revalidation keeps socket.userRole and socket.userPermissions current)
+  const refreshPendingFeed = async () => {
+    const socketIds = io.of('/').adapter.rooms.get(B2B_REVIEWERS_ROOM);
+    if (!socketIds || socketIds.size === 0) {
+      return;
+    }
+    [...socketIds].forEach(id => {
+      const socket = io.of('/').sockets.get(id);
+      if (socket && !canViewB2BRequests(socket.userRole, socket.userPermissions)) {
+        socket.leave(B2B_REVIEWERS_ROOM);
+      }
+    });
+    io.local.to(B2B_REVIEWERS_ROOM).emit('b2b-requests-pending', await getPendingB2BRequests());
+  };
+
+  const watcher = createCollectionWatcher({
+    name: 'b2bRequests',
+    collection: 'users',
+    fields: ['role', 'b2bRequest.status', 'b2bRequest.categories'],
+    projection: ['b2bRequest.reviewedAt', 'b2bRequest.rejectionReason', 'updatedAt'],
+    onChange: async ({ type, doc, previous, changed }) => {
+      const status = doc.b2bRequest?.status;
+
+      if (type === 'update' && changed.includes('b2bRequest.status') && REVIEWED_STATUSES.includes(status)) {
+        const userId = doc._id.toString();
+        const reviewedAt = doc.b2bRequest.reviewedAt || null;
+        await notify(io, userId, 'b2b-request-updated', {
+          status,
+          categories: doc.b2bRequest.categories || [],
+          rejectionReason: status === 'rejected' ? doc.b2bRequest.rejectionReason || null : null,
+          reviewedAt
+        }, { key: `b2b-request-updated:${status}:${new Date(doc.updatedAt || 0).getTime()}`, local: true });
+        log.info('b2b-request-updated sent', { status, userId });
+      }
+
+      // The queue changes when a user becomes an applicant or stops being one
+      const wasPending = previous ? isPendingApplicant({
+        role: previous.role,
+        b2bRequest: { status: previous['b2bRequest.status'], categories: previous['b2bRequest.categories'] }
+      }) : type === 'update';
+      if (wasPending || isPendingApplicant(doc)) {
+        await refreshPendingFeed();
+      }
+    }
+  }, config);
+
+  return {
+    start() {
+      watcher.start();
+    },
+    async stop() {
+      await watcher.stop();
+    }
+  };
+};
+
+module.exports = {
+  B2B_REVIEWERS_ROOM,
+  getPendingB2BRequests,
+  joinB2BReviewers,
+  createB2BEvents
+};
@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+// Watch a collection for inserts and changes to selected fields
+// Uses a MongoDB change stream where the deployment supports one (replica sets and sharded
+// clusters) and falls back to polling `updatedField` on a standalone mongod.
+//   COLLECTION_WATCH_MODE          - `auto` (default), `changestream`, `poll` or `off`
+//   COLLECTION_WATCH_POLL_SECONDS  - polling interval for the fallback (default: 15)
+//
+// Change streams only carry inserts, replacements and updates that touch a watched field, so
+// busy collections such as users don't send every write to every instance.
+//
+// Handlers receive { type: 'insert' | 'update', doc, previous, changed }:
+//   doc      - the document after the change: the full document, or the watched fields plus
+//              `projection` when the watcher is given one
+//   previous - the watched fields as last seen by this instance, or null if it hasn't seen the document
+//   changed  - watched fields that changed. Polling primes the snapshots of the most recently updated
+//              documents when it starts; for a document it has no snapshot for, a poll can't tell what
+//              changed, so every watched field counts as changed. Handlers key their notifications so
+//              the ones already stored are not sent again.
+//
+// Every instance runs its own watcher, so handlers should emit with io.local to reach only
+// that instance's sockets - otherwise a shared adapter would deliver each event once per instance.
+
+const log = logger.child({ component: 'collectionWatcher' });
+
+const WATCH_MODES = ['auto', 'changestream', 'poll', 'off'];
+const DEFAULT_POLL_SECONDS = 15;
+const POLL_BATCH_SIZE = 500;
+const RESTART_DELAY_MS = 5000;
+// Snapshots kept per watcher to tell what changed; the oldest are dropped beyond this
+const SNAPSHOT_CACHE_SIZE = 10000;
+
+// Error codes meaning change streams are unavailable on this deployment
+// 40573: $changeStream only supported on replica sets; 40324: unrecognised pipeline stage
+const CHANGE_STREAM_UNSUPPORTED_CODES = [40573, 40324];
+// 286: ChangeStreamHistoryLost; 280: ChangeStreamFatalError
+const CHANGE_STREAM_HISTORY_LOST_CODES = [286, 280];
+
+const getWatchConfig = (env = process.env) => {
+  const mode = (env.COLLECTION_WATCH_MODE || 'auto').trim().toLowerCase();
+  if (!WATCH_MODES.includes(mode)) {
+    throw new Error(`Unknown COLLECTION_WATCH_MODE "${env.COLLECTION_WATCH_MODE}" (expected: ${WATCH_MODES.join(', ')})`);
+  }
+  return {
+    mode,
+    pollIntervalMs: (parseFloat(env.COLLECTION_WATCH_POLL_SECONDS) || DEFAULT_POLL_SECONDS) * 1000
+  };
+};
+
+// Read a dotted path such as `inventory.quantity`
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const toComparable = (value) => (value instanceof Date || value?._bsontype ? value.toString() : JSON.stringify(value));
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regex for update paths that touch a watched field: the field, anything below it, or a parent
+// replaced as a whole (setting `b2bRequest` touches `b2bRequest.status`)
+const touchedFieldsPattern = (fields) => {
+  const parents = fields.flatMap(field => {
+    const parts = field.split('.');
+    return parts.slice(1).map((part, index) => parts.slice(0, index + 1).join('.'));
+  });
+  const alternatives = [
+    ...fields.map(field => `${escapeRegExp(field)}(?:\\.|$)`),
+    ...[...new Set(parents)].map(parent => `${escapeRegExp(parent)}$`)
+  ];
+  return `^(?:${alternatives.join('|')})`;
+};
+
+const buildChangeStreamPipeline = (fields, projectedPaths) => {
+  const updatedPaths = {
+    $concatArrays: [
+      { $map: { input: { $objectToArray: { $ifNull: ['$updateDescription.updatedFields', {}] } }, as: 'entry', in: '$$entry.k' } },
+      { $ifNull: ['$updateDescription.removedFields', []] }
+    ]
+  };
+  const pipeline = [{
+    $match: {
+      $or: [
+        { operationType: { $in: ['insert', 'replace'] } },
+        {
+          operationType: 'update',
+          $expr: {
+            $anyElementTrue: [{
+              $map: { input: updatedPaths, as: 'path', in: { $regexMatch: { input: '$$path', regex: touchedFieldsPattern(fields) } } }
+            }]
+          }
+        }
+      ]
+    }
+  }];
+  if (projectedPaths) {
+    pipeline.push({
+      $project: projectedPaths.reduce((stage, path) => ({ ...stage, [`fullDocument.${path}`]: 1 }), {
+        operationType: 1,
+        updateDescription: 1,
+        'fullDocument._id': 1
+      })
+    });
+  }
+  return pipeline;
+};
+
+// `projection` lists the paths onChange reads besides the watched fields; without it handlers get
+// the full document
+// Watched fields that changed between the cached snapshot and the document
+// touchedFields (change streams only) narrows it when there is no snapshot to compare with
+const getChangedFields = (type, fields, previous, snapshot, touchedFields = null) => {
+  if (type === 'insert' || (!previous && !touchedFields)) {
+    return [...fields];
+  }
+  if (previous) {
+    return fields.filter(field => toComparable(previous[field]) !== toComparable(snapshot[field]));
+  }
+  return fields.filter(field => touchedFields.some(touched =>
+    touched === field || touched.startsWith(`${field}.`) || field.startsWith(`${touched}.`)
+  ));
+};
+
+const createCollectionWatcher = ({ name, collection, fields, projection = null, updatedField = 'updatedAt', onChange }, config) => {
+  // Drop paths already covered by a parent - MongoDB rejects overlapping projections
+  const projectedPaths = projection && [...new Set([...fields, ...projection])]
+    .filter((path, index, paths) => !paths.some(other => path.startsWith(`${other}.`)));
+  const snapshots = new Map();
+  let stream = null;
+  let pollTimer = null;
+  let stopped = false;
+  let resumeToken = null;
+
+  const takeSnapshot = (doc) => fields.reduce((snapshot, field) => ({ ...snapshot, [field]: getPath(doc, field) }), {});
+
+  const remember = (id, snapshot) => {
+    snapshots.delete(id);
+    snapshots.set(id, snapshot);
+    if (snapshots.size > SNAPSHOT_CACHE_SIZE) {
+      snapshots.delete(snapshots.keys().next().value);
+    }
+  };
+
+  // Work out what changed against the cached snapshot and hand the change to onChange
+  const dispatch = async (type, doc, touchedFields = null) => {
+    const id = doc._id.toString();
+    const previous = snapshots.get(id) || null;
+    const snapshot = takeSnapshot(doc);
+    remember(id, snapshot);
+
+    const changed = getChangedFields(type, fields, previous, snapshot, touchedFields);
+
+    if (type === 'update' && changed.length === 0) {
+      return;
+    }
+    try {
+      await onChange({ type, doc, previous, changed });
+    } catch (error) {
+      log.error('Handler failed', { watcher: name, documentId: id, error });
+    }
+  };
+
+  // Remember the watched fields of the most recently updated documents, oldest first so the
+  // cache keeps the newest
+  const primeSnapshots = async (db) => {
+    const projection = fields.reduce((fieldsProjection, field) => ({ ...fieldsProjection, [field]: 1 }), {});
+    const docs = await db.collection(collection)
+      .find({}, { projection })
+      .sort({ [updatedField]: -1 })
+      .limit(SNAPSHOT_CACHE_SIZE)
+      .toArray();
+    docs.reverse().forEach(doc => remember(doc._id.toString(), takeSnapshot(doc)));
+    log.debug('Primed snapshots', { watcher: name, count: docs.length });
+  };
+
+  const startPolling = () => {
+    const db = mongoose.connection.db;
+    const startedAt = new Date();
+    let since = startedAt;
+    let primed = false;
+    const pollProjection = projectedPaths && [...projectedPaths, updatedField, 'createdAt']
+      .reduce((fieldsProjection, field) => ({ ...fieldsProjection, [field]: 1 }), {});
+    log.info('Polling collection', { watcher: name, collection, intervalSeconds: config.pollIntervalMs / 1000 });
+
+    const poll = async () => {
+      if (stopped) return;
+      try {
+        if (mongoose.connection.readyState === 1) {
+          if (!primed) {
+            await primeSnapshots(db);
+            primed = true;
+          }
+          // $gte so documents sharing the last timestamp aren't missed; unchanged ones are skipped by dispatch
+          const docs = await db.collection(collection)
+            .find({ [updatedField]: { $gte: since } }, projectedPaths ? { projection: pollProjection } : {})
+            .sort({ [updatedField]: 1 })
+            .limit(POLL_BATCH_SIZE)
+            .toArray();
+
+          for (const doc of docs) {
+            const isNew = !snapshots.has(doc._id.toString()) && doc.createdAt && new Date(doc.createdAt) >= startedAt;
+            await dispatch(isNew ? 'insert' : 'update', doc);
+            since = doc[updatedField] > since ? doc[updatedField] : since;
+          }
+        }
+      } catch (error) {
+        log.warn('Poll failed', { watcher: name, error });
+      }
+      if (!stopped) {
+        pollTimer = setTimeout(poll, config.pollIntervalMs);
+        pollTimer.unref();
+      }
+    };
+
+    // Poll straight away so the snapshots are primed before anything changes
+    poll();
+  };
+
+  const startChangeStream = () => {
+    const db = mongoose.connection.db;
+    stream = db.collection(collection).watch(
+      buildChangeStreamPipeline(fields, projectedPaths),
+      { fullDocument: 'updateLookup', ...(resumeToken ? { resumeAfter: resumeToken } : {}) }
+    );
+    log.info('Watching collection with a change stream', { watcher: name, collection });
+
+    stream.on('change', (change) => {
+      resumeToken = change._id;
+      if (!change.fullDocument) {
+        return; // deleted before the lookup
+      }
+      if (change.operationType === 'insert') {
+        dispatch('insert', change.fullDocument);
+      } else {
+        const touched = change.updateDescription
+          ? [...Object.keys(change.updateDescription.updatedFields || {}), ...(change.updateDescription.removedFields || [])]
+          : null;
+        dispatch('update', change.fullDocument, touched);
+      }
+    });
+
+    stream.on('error', (error) => {
+      stream.close().catch(() => {});
+      stream = null;
+      if (stopped) return;
+
+      if (CHANGE_STREAM_UNSUPPORTED_CODES.includes(error.code) && config.mode === 'auto') {
+        log.warn('Change streams unavailable, falling back to polling', { watcher: name, error });
+        startPolling();
+        return;
+      }
+      // The resume point may have rolled off the oplog - start again from now
+      if (CHANGE_STREAM_HISTORY_LOST_CODES.includes(error.code)) {
+        resumeToken = null;
+      }
+      log.warn('Change stream error, restarting', { watcher: name, restartInSeconds: RESTART_DELAY_MS / 1000, error });
+      const restartTimer = setTimeout(() => {
+        if (!stopped) startChangeStream();
+      }, RESTART_DELAY_MS);
+      restartTimer.unref();
+    });
+  };
+
+  return {
+    start() {
+      if (config.mode === 'off') {
+        return;
+      }
+      if (config.mode === 'poll') {
+        startPolling();
+      } else {
+        startChangeStream();
+      }
+    },
+    async stop() {
+      stopped = true;
+      clearTimeout(pollTimer);
+      if (stream) {
+        await stream.close().catch(() => {});
+      }
+    }
+  };
+};
+
+module.exports = {
+  getWatchConfig,
+  getChangedFields,
+  createCollectionWatcher
+};
@@ -0,0 +1,53 @@
+// Conversation keys - the single place room names are derived
+// Every handler that joins, broadcasts to or checks a conversation room must use these helpers
+// so quotation, RFQ and product rooms are always named the same way.
+
+// Helper to normalise an id (ObjectId, populated document or string) to a string
+const idOf = (value) => {
+  if (!value) return null;
+  return value._id ? value._id.toString() : value.toString();
+};
+
+const quotationRoom = (quotationId) => `quotation-${idOf(quotationId)}`;
+
+// Product and RFQ conversations are per pair of users - sort the IDs so both sides
+// derive the same room regardless of who initiates
+const pairOf = (userA, userB) => [idOf(userA), idOf(userB)].sort().join('-');
+
+// Each supplier talks to the requester privately, so an RFQ has one room per supplier
+const rfqRoom = (rfqId, userA, userB) => `rfq-${idOf(rfqId)}-${pairOf(userA, userB)}`;
+
+const productRoom = (productId, userA, userB) => `product-${idOf(productId)}-${pairOf(userA, userB)}`;
+
+// Derive the room for a conversation described by client payload fields
+// otherUserId is the counterpart and is required for RFQ and product conversations
+const getConversationRoom = ({ quotationId, rfqId, productId }, userId, otherUserId) => {
+  if (quotationId) {
+    return quotationRoom(quotationId);
+  }
+  if (rfqId && userId && otherUserId) {
+    return rfqRoom(rfqId, userId, otherUserId);
+  }
+  if (productId && userId && otherUserId) {
+    return productRoom(productId, userId, otherUserId);
+  }
+  return null;
+};
+
+// Derive the room a stored message belongs to
+const getMessageRoom = (messageDoc) => {
+  return getConversationRoom(
+    { quotationId: messageDoc.quotation, rfqId: messageDoc.rfq, productId: messageDoc.product },
+    messageDoc.sender,
+    messageDoc.receiver
+  );
+};
+
+module.exports = {
+  idOf,
+  quotationRoom,
+  rfqRoom,
+  productRoom,
+  getConversationRoom,
+  getMessageRoom
+};
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const { idOf, getMessageRoom } = require('./conversationKeys');
+const { logger } = require('./logger');
+
+// Conversation documents for the inbox, in the `conversations` collection
+// A conversation is created by the first message sent in a room and keeps participants,
+// the last message preview, per-participant unread counts and mute/archive flags.
+// Uses the native MongoDB driver like the rest of the socket server.
+
+const log = logger.child({ component: 'conversations' });
+
+const PREVIEW_MAX_LENGTH = 100;
+
+const getCollection = () => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+  return db.collection('conversations');
+};
+
+// Create indexes the inbox relies on
+const ensureConversationIndexes = async () => {
+  try {
+    const collection = getCollection();
+    await collection.createIndex({ key: 1 }, { name: 'key_unique', unique: true });
+    await collection.createIndex({ participants: 1, updatedAt: -1 }, { name: 'participants_updatedAt' });
+    log.info('conversations indexes ready');
+  } catch (error) {
+    log.warn('Could not create conversations indexes', { error });
+  }
+};
+
+// Format a conversation for the client from the point of view of one participant
+const formatConversation = (conversation, userId) => {
+  const includes = (list) => (list || []).some(id => idOf(id) === userId);
+  const unreadCounts = conversation.unreadCounts || {};
+  return {
+    _id: conversation._id.toString(),
+    key: conversation.key,
+    type: conversation.type,
+    quotationId: idOf(conversation.quotation),
+    rfqId: idOf(conversation.rfq),
+    productId: idOf(conversation.product),
+    participants: (conversation.participants || []).map(idOf),
+    lastMessage: conversation.lastMessage ? {
+      _id: idOf(conversation.lastMessage.message),
+      sender: idOf(conversation.lastMessage.sender),
+      preview: conversation.lastMessage.preview,
+      createdAt: conversation.lastMessage.createdAt
+    } : null,
+    unreadCount: unreadCounts[userId] || 0,
+    muted: includes(conversation.mutedBy),
+    archived: includes(conversation.archivedBy),
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt
+  };
+};
+
+// Create or update the conversation a freshly saved message belongs to
+const recordMessage = async (messageDoc) => {
+  const collection = getCollection();
+  const ObjectId = mongoose.Types.ObjectId;
+  const key = getMessageRoom(messageDoc);
+  const senderObjectId = new ObjectId(idOf(messageDoc.sender));
+  const receiverObjectId = new ObjectId(idOf(messageDoc.receiver));
+  const now = new Date();
+
+  const context = { type: messageDoc.quotation ? 'quotation' : (messageDoc.rfq ? 'rfq' : 'product') };
+  if (messageDoc.quotation) context.quotation = messageDoc.quotation;
+  else if (messageDoc.rfq) context.rfq = messageDoc.rfq;
+  else context.product = messageDoc.product;
+
+  const update = {
+    $setOnInsert: { key, ...context, mutedBy: [], createdAt: now },
+    $addToSet: { participants: { $each: [senderObjectId, receiverObjectId] } },
+    $set: {
+      lastMessage: {
+        message: messageDoc._id,
+        sender: senderObjectId,
+        preview: (messageDoc.message || '').slice(0, PREVIEW_MAX_LENGTH),
+        createdAt: messageDoc.createdAt
+      },
+      updatedAt: now
+    },
+    $inc: { [`unreadCounts.${idOf(messageDoc.receiver)}`]: 1 },
+    // A new message brings an archived conversation back into the inbox
+    $pull: { archivedBy: { $in: [senderObjectId, receiverObjectId] } }
+  };
+
+  try {
+    return await collection.findOneAndUpdate({ key }, update, { upsert: true, returnDocument: 'after' });
+  } catch (error) {
+    // Two first messages raced on the unique key - the other insert won, so update it
+    if (error.code === 11000) {
+      return collection.findOneAndUpdate({ key }, update, { returnDocument: 'after' });
+    }
+    throw error;
+  }
+};
+
+// Refresh the last message preview after that message was edited, deleted or hidden
+// Returns the updated conversation, or null if the message is no longer the last one
+const updateLastMessagePreview = async (key, messageDoc) => {
+  return getCollection().findOneAndUpdate(
+    { key, 'lastMessage.message': messageDoc._id },
+    { $set: { 'lastMessage.preview': messageDoc.deletedAt || messageDoc.hiddenAt ? '' : (messageDoc.message || '').slice(0, PREVIEW_MAX_LENGTH) } },
+    { returnDocument: 'after' }
+  );
+};
+
+// Store a participant's unread count (recomputed from quotationmessages after a read)
+const setUnreadCount = async (key, userId, count) => {
+  await getCollection().updateOne({ key }, { $set: { [`unreadCounts.${userId}`]: count } });
+};
+
+// List a user's conversations, most recently active first
+// `before` is the _id of the last conversation the client already has
+const listConversations = async (userId, { archived = false, before, limit }) => {
+  const collection = getCollection();
+  const ObjectId = mongoose.Types.ObjectId;
+  const userObjectId = new ObjectId(userId);
+
+  const query = {
+    participants: userObjectId,
+    archivedBy: archived ? userObjectId : { $ne: userObjectId }
+  };
+
+  if (before) {
+    const beforeObjectId = new ObjectId(before);
+    const cursorConversation = await collection.findOne({ _id: beforeObjectId }, { projection: { updatedAt: 1 } });
+    if (!cursorConversation) {
+      return null;
+    }
+    query.$or = [
+      { updatedAt: { $lt: cursorConversation.updatedAt } },
+      { updatedAt: cursorConversation.updatedAt, _id: { $lt: beforeObjectId } }
+    ];
+  }
+
+  // Fetch one extra conversation to know whether another page exists
+  const conversations = await collection.find(query)
+    .sort({ updatedAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = conversations.length > limit;
+  if (hasMore) {
+    conversations.pop();
+  }
+
+  return {
+    conversations,
+    nextCursor: hasMore ? conversations[conversations.length - 1]._id.toString() : null,
+    hasMore
+  };
+};
+
+// Find a conversation by _id or room key, only if the user participates in it
+const getConversation = async (userId, { conversationId, key }) => {
+  const ObjectId = mongoose.Types.ObjectId;
+  const query = conversationId ? { _id: new ObjectId(conversationId) } : { key };
+  query.participants = new ObjectId(userId);
+  return getCollection().findOne(query);
+};
+
+// Set a participant's mute/archive flags; returns the updated conversation or null
+const updateConversationFlags = async (userId, conversationId, { muted, archived }) => {
+  const ObjectId = mongoose.Types.ObjectId;
+  const userObjectId = new ObjectId(userId);
+  const update = {};
+
+  const toggle = (field, enabled) => {
+    const operator = enabled ? '$addToSet' : '$pull';
+    update[operator] = { ...(update[operator] || {}), [field]: userObjectId };
+  };
+  if (typeof muted === 'boolean') toggle('mutedBy', muted);
+  if (typeof archived === 'boolean') toggle('archivedBy', archived);
+
+  return getCollection().findOneAndUpdate(
+    { _id: new ObjectId(conversationId), participants: userObjectId },
+    update,
+    { returnDocument: 'after' }
+  );
+};
+
+// Push the updated conversation to each participant's personal room
+const emitConversationUpdated = (io, conversation) => {
+  (conversation.participants || []).forEach(participant => {
+    const userId = idOf(participant);
+    io.to(`user-${userId}`).emit('conversation-updated', {
+      conversation: formatConversation(conversation, userId)
+    });
+  });
+};
+
+module.exports = {
+  ensureConversationIndexes,
+  formatConversation,
+  recordMessage,
+  setUnreadCount,
+  updateLastMessagePreview,
+  listConversations,
+  getConversation,
+  updateConversationFlags,
+  emitConversationUpdated
+};
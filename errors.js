@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { logger, runWithLogContext, getLogContext } = require('./logger');
+
+// Central catalogue of errors reported to clients
+// Codes are stable and safe for clients to switch on and localise; messages are English defaults.
+// Raw error messages never leave the server - unexpected errors are mapped to a code instead.
+const ERROR_CATALOGUE = {
+  AUTH_FAILED: 'Authentication failed',
+  NOT_FOUND: 'Resource not found',
+  ACCESS_DENIED: 'Access denied',
+  DB_UNAVAILABLE: 'Database not connected. Please try again.',
+  VALIDATION_FAILED: 'Invalid request',
+  CONTENT_REJECTED: 'Message contains content that is not allowed',
+  RATE_LIMITED: 'Too many requests. Please slow down.',
+  SERVER_NOT_READY: 'Server not ready. Please try again.',
+  INTERNAL_ERROR: 'Something went wrong. Please try again.'
+};
+
+const ERROR_CODES = Object.freeze(
+  Object.keys(ERROR_CATALOGUE).reduce((codes, code) => ({ ...codes, [code]: code }), {})
+);
+
+// Error carrying a catalogue code, for helpers that want to abort a handler
+class SocketError extends Error {
+  constructor(code, message) {
+    super(message || ERROR_CATALOGUE[code] || ERROR_CATALOGUE.INTERNAL_ERROR);
+    this.name = 'SocketError';
+    this.code = ERROR_CATALOGUE[code] ? code : ERROR_CODES.INTERNAL_ERROR;
+  }
+}
+
+// Log context entry holding the code of the last error sent while handling the event, so
+// metrics can count failures that have no acknowledgement. A symbol keeps it out of log lines.
+const EVENT_ERROR_CODE = Symbol('eventErrorCode');
+
+// Use the client's requestId when it sends a sane one, otherwise the one generated for the
+// event being handled (see withRequestContext), or a new one
+const getRequestId = (data) => {
+  if (data && typeof data.requestId === 'string' && data.requestId && data.requestId.length <= 100) {
+    return data.requestId;
+  }
+  return getLogContext().requestId || crypto.randomUUID();
+};
+
+// socket.use middleware - handles each event in a log context carrying the socket's correlationId
+// and the event's requestId, so log lines and error payloads can be matched up
+const withRequestContext = (socket) => ([event, ...args], next) => {
+  const data = typeof args[0] === 'function' ? undefined : args[0];
+  runWithLogContext({
+    correlationId: socket.correlationId,
+    userId: socket.userId,
+    event,
+    requestId: getRequestId(data),
+    [EVENT_ERROR_CODE]: null
+  }, next);
+};
+
+// Map an unexpected error to a catalogue code without exposing its message
+const classifyError = (error) => {
+  if (error instanceof SocketError) {
+    return error.code;
+  }
+  const message = error?.message || '';
+  if (error?.name === 'BSONError' || /^Invalid .+: /.test(message)) {
+    return ERROR_CODES.VALIDATION_FAILED;
+  }
+  if (/^Mongo(Network|ServerSelection|NotConnected)/.test(error?.name || '') ||
+      /timeout|buffering timed out|Database not (connected|available)/i.test(message)) {
+    return ERROR_CODES.DB_UNAVAILABLE;
+  }
+  return ERROR_CODES.INTERNAL_ERROR;
+};
+
+// Build the payload sent on the `error` event and in failed acknowledgements
+const buildErrorPayload = (code, { message, event, requestId, correlationId, ...extra } = {}) => {
+  const knownCode = ERROR_CATALOGUE[code] ? code : ERROR_CODES.INTERNAL_ERROR;
+  return {
+    code: knownCode,
+    message: message || ERROR_CATALOGUE[knownCode],
+    event: event || null,
+    requestId: requestId || null,
+    correlationId: correlationId || null,
+    ...extra
+  };
+};
+
+// Report an error to a socket, and to the acknowledgement callback if the client sent one
+const emitError = (socket, code, { respond, ...options } = {}) => {
+  const payload = buildErrorPayload(code, { correlationId: socket.correlationId, ...options });
+  logger.debug('Error sent to client', { code: payload.code, event: payload.event, requestId: payload.requestId });
+  const context = getLogContext();
+  if (EVENT_ERROR_CODE in context) {
+    context[EVENT_ERROR_CODE] = payload.code;
+  }
+  socket.emit('error', payload);
+  if (typeof respond === 'function') {
+    respond({ ok: false, ...payload });
+  }
+  return payload;
+};
+
+// Error for io.use middleware - Socket.IO sends err.message and err.data to the client's connect_error
+const createConnectError = (code, message, correlationId) => {
+  const payload = buildErrorPayload(code, { message, event: 'connect', correlationId });
+  const error = new Error(payload.message);
+  error.data = payload;
+  return error;
+};
+
+module.exports = {
+  ERROR_CATALOGUE,
+  ERROR_CODES,
+  EVENT_ERROR_CODE,
+  SocketError,
+  getRequestId,
+  withRequestContext,
+  classifyError,
+  buildErrorPayload,
+  emitError,
+  createConnectError
+};
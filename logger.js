@@ -0,0 +1,125 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logger with levels
+//   LOG_LEVEL  - debug, info, warn or error (default: info in production, debug otherwise)
+//   LOG_FORMAT - json or pretty (default: json in production, pretty otherwise)
+//
+// Every line carries the fields of the current log context - the socket's correlationId and the
+// event's requestId while a socket event is handled (see errors.withRequestContext).
+// Message bodies and tokens are redacted before anything is written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Read on first use, so the settings apply however early the logger is loaded
+let config = null;
+const getConfig = () => {
+  if (!config) {
+    const isProduction = process.env.NODE_ENV === 'production';
+    config = {
+      level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : (isProduction ? 'info' : 'debug'),
+      format: ['json', 'pretty'].includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : (isProduction ? 'json' : 'pretty')
+    };
+  }
+  return config;
+};
+
+// Fields whose values are never logged: chat content and credentials
+const REDACTED_KEYS = new Set([
+  'message', 'originalMessage', 'text', 'body',
+  'token', 'accessToken', 'refreshToken', 'authorization', 'password', 'secret', 'jwt'
+]);
+const REDACTED = '[redacted]';
+const JWT_PATTERN = /eyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const MAX_DEPTH = 5;
+
+const context = new AsyncLocalStorage();
+
+// Run `fn` with extra fields added to every log line written during it, including async work it starts
+const runWithLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+const getLogContext = () => context.getStore() || {};
+
+const scrub = (value) => value.replace(JWT_PATTERN, REDACTED);
+
+// Errors keep their message (ours, not user content); the stack only at error level
+const serializeError = (error, withStack) => ({
+  name: error.name,
+  message: scrub(String(error.message)),
+  ...(error.code !== undefined && { code: error.code }),
+  ...(withStack && error.stack && { stack: scrub(error.stack) })
+});
+
+const redact = (value, withStack, depth = 0) => {
+  if (typeof value === 'string') {
+    return scrub(value);
+  }
+  if (value instanceof Error) {
+    return serializeError(value, withStack);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (typeof value.toHexString === 'function') {
+    return value.toString();
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, withStack, depth + 1));
+  }
+  const result = {};
+  Object.keys(value).forEach(key => {
+    result[key] = REDACTED_KEYS.has(key) ? REDACTED : redact(value[key], withStack, depth + 1);
+  });
+  return result;
+};
+
+// Pretty lines put the stack, if any, on the lines below
+const formatPretty = ({ time, level, msg, ...fields }) => {
+  const stack = fields.error?.stack;
+  if (stack) {
+    fields = { ...fields, error: { ...fields.error, stack: undefined } };
+  }
+  const details = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'object' && value !== null && !(value instanceof Date) ? JSON.stringify(value) : value}`);
+  const line = [time.slice(11, 23), level.toUpperCase().padEnd(5), msg, ...details].join(' ');
+  return stack ? `${line}\n${stack}` : line;
+};
+
+const write = (level, msg, bindings, fields) => {
+  const { level: minLevel, format } = getConfig();
+  if (LEVELS[level] < LEVELS[minLevel]) {
+    return;
+  }
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...getLogContext(),
+    ...bindings,
+    ...fields
+  }, level === 'error');
+
+  const line = format === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+// logger.info('Message sent', { messageId }) - `child` adds fields to every line of the returned logger
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', msg, bindings, fields),
+  info: (msg, fields) => write('info', msg, bindings, fields),
+  warn: (msg, fields) => write('warn', msg, bindings, fields),
+  error: (msg, fields) => write('error', msg, bindings, fields),
+  child: (moreBindings) => createLogger({ ...bindings, ...moreBindings })
+});
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  runWithLogContext,
+  getLogContext
+};
@@ -0,0 +1,187 @@
+const { logger } = require('./logger');
+
+// Content filtering for chat messages, run by send-message and edit-message before saving
+// Detects contact details used to take deals off-platform, plus a configurable word list.
+// Each rule has its own action, read from environment variables:
+//   MESSAGE_FILTER_PHONE      - phone numbers (default: mask)
+//   MESSAGE_FILTER_EMAIL      - email addresses (default: mask)
+//   MESSAGE_FILTER_URL        - links to other sites (default: flag)
+//   MESSAGE_FILTER_WORDS      - words from MESSAGE_FILTER_WORD_LIST (default: mask)
+// Actions: `mask` replaces the match, `reject` refuses the message, `flag` lets it through
+// but queues it for admin review, `off` disables the rule.
+//   MESSAGE_FILTER_WORD_LIST       - comma-separated words/phrases (default: none)
+//   MESSAGE_FILTER_ALLOWED_DOMAINS - domains the url rule ignores, subdomains included
+//   MESSAGE_FILTER_ENABLED=false   - turn filtering off
+
+const log = logger.child({ component: 'messageFilter' });
+
+const ACTIONS = ['mask', 'reject', 'flag', 'off'];
+const MASK = '***';
+
+// Rules in priority order - a match overlapping an earlier rule's match is ignored,
+// so the domain inside an email address is not reported again as a URL
+const RULES = ['email', 'url', 'phone', 'words'];
+
+const DEFAULT_ACTIONS = {
+  phone: 'mask',
+  email: 'mask',
+  url: 'flag',
+  words: 'mask'
+};
+
+// Fewer digits than this is more likely a price or quantity than a phone number,
+// unless it is written with a leading `+`
+const PHONE_MIN_DIGITS = 10;
+const PHONE_MAX_DIGITS = 15;
+
+// Matches may only start where the previous character could not have been part of them, and
+// every repeat is bounded, so long runs of letters or dots are scanned in linear time
+const EMAIL_PATTERN = /(?<![a-z0-9._%+-])[a-z0-9._%+-]{1,64}\s{0,3}(?:@|\(at\)|\[at\])\s{0,3}[a-z0-9-]{1,63}(?:\s{0,3}(?:\.|\(dot\)|\[dot\])\s{0,3}[a-z0-9-]{1,63}){0,8}\s{0,3}(?:\.|\(dot\)|\[dot\])\s{0,3}[a-z]{2,63}/gi;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+|(?<![a-z0-9.-])(?:[a-z0-9-]{1,63}\.){1,8}(?:com|net|org|info|biz|io|co|pk|me|app|shop|store|online|site|link|ly|gl|to|in|uk|us|ae)\b(?:\/[^\s<>"']*)?/gi;
+// A number followed by `:` and a digit is a time, so the match stops before it
+const PHONE_PATTERN = /(?<![\w+])\+?\d(?:[\s().-]{0,2}\d){6,18}(?!\w|:\d)/g;
+const PHONE_SEPARATORS = /[\s().-]+/;
+const DATE_PATTERN = /(?<!\d)(?:\d{4}[-.]\d{1,2}[-.]\d{1,2}|\d{1,2}[-.]\d{1,2}[-.]\d{4})(?!\d)/;
+// Local numbers written with their trunk prefix, e.g. 0300-1234567 or 03001234567
+const TRUNK_PREFIX_PATTERN = /^0\d{2,4}$/;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+// Collect { start, end, text } for every match of a global pattern
+const findAll = (pattern, text, accept = () => true) => {
+  const matches = [];
+  for (const match of text.matchAll(pattern)) {
+    if (accept(match[0])) {
+      matches.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+    }
+  }
+  return matches;
+};
+
+const detectEmails = (text) => findAll(EMAIL_PATTERN, text);
+
+const getHost = (url) => url
+  .replace(/^[a-z]+:\/\//i, '')
+  .replace(/^www\./i, '')
+  .split(/[/?#:]/)[0]
+  .toLowerCase();
+
+const detectUrls = (text, allowedDomains = []) => findAll(URL_PATTERN, text, (url) => {
+  const host = getHost(url);
+  return !allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+});
+
+// Digit runs alone are too often order numbers or dates, so a candidate must also look like a
+// phone number: an international `+`, an area code in brackets, three or more digit groups, or a
+// leading trunk `0`
+const looksLikePhone = (candidate) => {
+  if (candidate.startsWith('+') || /\d\)/.test(candidate)) {
+    return true;
+  }
+  const groups = candidate.split(PHONE_SEPARATORS).filter(Boolean);
+  if (groups.length >= 3) {
+    return true;
+  }
+  return groups[0].startsWith('0') && (groups.length === 1 || TRUNK_PREFIX_PATTERN.test(groups[0]));
+};
+
+const detectPhones = (text) => findAll(PHONE_PATTERN, text, (candidate) => {
+  const digits = candidate.replace(/\D/g, '').length;
+  const minDigits = candidate.startsWith('+') ? 7 : PHONE_MIN_DIGITS;
+  return digits >= minDigits && digits <= PHONE_MAX_DIGITS &&
+    !DATE_PATTERN.test(candidate) && looksLikePhone(candidate);
+});
+
+// Whole-word, case-insensitive matches of the configured words and phrases
+const createWordDetector = (words) => {
+  if (words.length === 0) {
+    return () => [];
+  }
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  return (text) => findAll(pattern, text);
+};
+
+// Parse a configured action, falling back to the rule's default when it is missing or unknown
+const parseAction = (value, rule) => {
+  const action = (value || '').trim().toLowerCase();
+  if (ACTIONS.includes(action)) {
+    return action;
+  }
+  if (action) {
+    log.warn('Ignoring invalid filter action', { rule, action: value, using: DEFAULT_ACTIONS[rule] });
+  }
+  return DEFAULT_ACTIONS[rule];
+};
+
+// Build the filter config from environment variables
+const loadMessageFilterConfig = (env = process.env) => ({
+  enabled: env.MESSAGE_FILTER_ENABLED !== 'false',
+  actions: RULES.reduce((actions, rule) => ({
+    ...actions,
+    [rule]: parseAction(env[`MESSAGE_FILTER_${rule.toUpperCase()}`], rule)
+  }), {}),
+  words: parseList(env.MESSAGE_FILTER_WORD_LIST),
+  allowedDomains: parseList(env.MESSAGE_FILTER_ALLOWED_DOMAINS)
+});
+
+// Create the filter function: filter(text) -> { message, masked, flagged, rejected }
+// `message` is the text to store, `masked` and `flagged` list rule names, and `rejected` is the
+// first rule with the reject action that matched (null if the message may be sent).
+const createMessageFilter = (config) => {
+  const detectors = {
+    email: detectEmails,
+    url: (text) => detectUrls(text, config.allowedDomains),
+    phone: detectPhones,
+    words: createWordDetector(config.words)
+  };
+
+  return (text) => {
+    const result = { message: text, masked: [], flagged: [], rejected: null };
+    if (!config.enabled || typeof text !== 'string' || !text) {
+      return result;
+    }
+
+    const taken = [];
+    const toMask = [];
+    for (const rule of RULES) {
+      const action = config.actions[rule];
+      if (action === 'off') {
+        continue;
+      }
+      const matches = detectors[rule](text).filter(match =>
+        !taken.some(other => match.start < other.end && other.start < match.end)
+      );
+      if (matches.length === 0) {
+        continue;
+      }
+      taken.push(...matches);
+
+      if (action === 'reject') {
+        result.rejected = result.rejected || rule;
+      } else if (action === 'flag') {
+        result.flagged.push(rule);
+      } else {
+        result.masked.push(rule);
+        toMask.push(...matches);
+      }
+    }
+
+    // Replace from the end so earlier offsets stay valid
+    result.message = toMask
+      .sort((a, b) => b.start - a.start)
+      .reduce((message, match) => message.slice(0, match.start) + MASK + message.slice(match.end), text);
+    return result;
+  };
+};
+
+module.exports = {
+  RULES,
+  loadMessageFilterConfig,
+  createMessageFilter,
+  detectEmails,
+  detectUrls,
+  detectPhones,
+  createWordDetector
+};
@@ -0,0 +1,182 @@
+const client = require('prom-client');
+const mongoose = require('mongoose');
+const { logger, getLogContext } = require('./logger');
+const { EVENT_ERROR_CODE } = require('./errors');
+
+// Prometheus metrics, served in text format at GET /metrics
+//   ws_connected_sockets{namespace}              - sockets connected to this instance
+//   ws_rooms                                     - rooms on this instance (per-socket rooms excluded)
+//   ws_events_total{namespace,event,outcome}     - handled client events; outcome is `ok` or the error code
+//   ws_event_duration_seconds{namespace,event}   - time from receiving an event to its handler finishing
+//   ws_db_operation_duration_seconds{operation,outcome} - timed database operations (ok, error, timeout)
+//   ws_db_operation_timeouts_total{operation}    - database operations that hit their timeout
+//   ws_auth_failures_total{namespace,reason}     - connections rejected by the authentication middleware
+//   ws_mongo_connection_state                    - mongoose readyState (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)
+// plus the default Node.js process metrics.
+
+const log = logger.child({ component: 'metrics' });
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// Socket.IO lifecycle events that are not client requests
+const RESERVED_EVENTS = ['disconnect', 'disconnecting', 'error'];
+
+const eventsTotal = new client.Counter({
+  name: 'ws_events_total',
+  help: 'Client events handled, by outcome (ok or error code)',
+  labelNames: ['namespace', 'event', 'outcome'],
+  registers: [register]
+});
+
+const eventDuration = new client.Histogram({
+  name: 'ws_event_duration_seconds',
+  help: 'Time taken to handle a client event',
+  labelNames: ['namespace', 'event'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const dbOperationDuration = new client.Histogram({
+  name: 'ws_db_operation_duration_seconds',
+  help: 'Time taken by database operations',
+  labelNames: ['operation', 'outcome'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const dbOperationTimeouts = new client.Counter({
+  name: 'ws_db_operation_timeouts_total',
+  help: 'Database operations that hit their timeout',
+  labelNames: ['operation'],
+  registers: [register]
+});
+
+const authFailures = new client.Counter({
+  name: 'ws_auth_failures_total',
+  help: 'Socket connections rejected by the authentication middleware',
+  labelNames: ['namespace', 'reason'],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'ws_mongo_connection_state',
+  help: 'Mongoose connection readyState (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)',
+  registers: [register],
+  collect() {
+    this.set(mongoose.connection.readyState);
+  }
+});
+
+// Socket and room gauges read the server's state on every scrape
+const registerServerMetrics = (io, namespaces = ['/']) => {
+  new client.Gauge({
+    name: 'ws_connected_sockets',
+    help: 'Sockets connected to this instance',
+    labelNames: ['namespace'],
+    registers: [register],
+    collect() {
+      namespaces.forEach(name => this.set({ namespace: name }, io.of(name).sockets.size));
+    }
+  });
+
+  new client.Gauge({
+    name: 'ws_rooms',
+    help: 'Rooms on this instance, excluding each socket\'s own room',
+    registers: [register],
+    collect() {
+      const { rooms, sids } = io.of('/').adapter;
+      let count = 0;
+      rooms.forEach((_, room) => {
+        if (!sids.has(room)) {
+          count += 1;
+        }
+      });
+      this.set(count);
+    }
+  });
+};
+
+// Count and time every handler the socket registers from here on
+// Call before attaching handlers. The outcome is the error code of an { ok: false } acknowledgement,
+// else the code of an error the handler sent with emitError (read from the log context set up by
+// errors.withRequestContext), else `ok`.
+const instrumentSocket = (socket) => {
+  const namespace = socket.nsp.name;
+  const on = socket.on.bind(socket);
+
+  socket.on = (event, listener) => {
+    if (RESERVED_EVENTS.includes(event)) {
+      return on(event, listener);
+    }
+    return on(event, async (...args) => {
+      const endTimer = eventDuration.startTimer({ namespace, event });
+      let outcome = 'ok';
+
+      const ack = args[args.length - 1];
+      if (typeof ack === 'function') {
+        args[args.length - 1] = (response, ...rest) => {
+          if (response && response.ok === false) {
+            outcome = response.code || 'error';
+          }
+          return ack(response, ...rest);
+        };
+      }
+
+      try {
+        await listener(...args);
+        if (outcome === 'ok' && getLogContext()[EVENT_ERROR_CODE]) {
+          outcome = getLogContext()[EVENT_ERROR_CODE];
+        }
+      } catch (error) {
+        // Nothing awaits a listener, so a rethrow would be an unhandled rejection and end the process
+        outcome = 'error';
+        log.error('Unhandled error in socket handler', { namespace, event, error });
+      } finally {
+        endTimer();
+        eventsTotal.inc({ namespace, event, outcome });
+      }
+    });
+  };
+};
+
+// Time a database operation, recording timeouts from the Promise.race guards separately
+const trackDbOperation = async (operation, promise) => {
+  const endTimer = dbOperationDuration.startTimer({ operation });
+  try {
+    const result = await promise;
+    endTimer({ outcome: 'ok' });
+    return result;
+  } catch (error) {
+    const timedOut = /timeout/i.test(error?.message || '');
+    endTimer({ outcome: timedOut ? 'timeout' : 'error' });
+    if (timedOut) {
+      dbOperationTimeouts.inc({ operation });
+    }
+    throw error;
+  }
+};
+
+const recordAuthFailure = (namespace, reason) => {
+  authFailures.inc({ namespace, reason });
+};
+
+// Express handler for GET /metrics
+const metricsHandler = async (req, res) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    log.error('Error collecting metrics', { error });
+    res.status(500).end();
+  }
+};
+
+module.exports = {
+  register,
+  registerServerMetrics,
+  instrumentSocket,
+  trackDbOperation,
+  recordAuthFailure,
+  metricsHandler
+};
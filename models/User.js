@@ -83,6 +83,17 @@ const userSchema = new mongoose.Schema({
       ref: 'User'
     }
   },
+  lastSeenAt: {
+    type: Date
+  },
+  // Tokens issued before this time are rejected by the socket server
+  tokensValidAfter: {
+    type: Date
+  },
+  // Set by moderators; the socket server refuses send-message until this time
+  mutedUntil: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
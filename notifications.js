@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+// Notification inbox, in the `notifications` collection
+// Every notification sent to a user's personal room is recorded here first, so users who were
+// offline get it replayed when they next connect and can page through it later.
+// Uses the native MongoDB driver like the rest of the socket server.
+
+const log = logger.child({ component: 'notifications' });
+
+const NOTIFICATION_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 30;
+const REPLAY_LIMIT = 100;
+// Collection watchers on every instance store the same change within moments of each other, so a
+// notification stored longer ago than this is an old change seen again, e.g. after a restart
+const LOCAL_DUPLICATE_WINDOW_MS = 2 * 60 * 1000;
+
+const getCollection = () => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+  return db.collection('notifications');
+};
+
+// Create indexes the inbox relies on; old notifications expire after NOTIFICATION_RETENTION_DAYS
+const ensureNotificationIndexes = async () => {
+  try {
+    const collection = getCollection();
+    await collection.createIndex({ user: 1, key: 1 }, { name: 'user_key_unique', unique: true });
+    await collection.createIndex({ user: 1, createdAt: -1 }, { name: 'user_createdAt' });
+    await collection.createIndex({ user: 1, deliveredAt: 1, createdAt: 1 }, { name: 'user_undelivered' });
+    await collection.createIndex(
+      { createdAt: 1 },
+      { name: 'createdAt_ttl', expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 }
+    );
+    log.info('notifications indexes ready');
+  } catch (error) {
+    log.warn('Could not create notifications indexes', { error });
+  }
+};
+
+const formatNotification = (notification) => ({
+  _id: notification._id.toString(),
+  type: notification.type,
+  data: notification.data || {},
+  readAt: notification.readAt || null,
+  deliveredAt: notification.deliveredAt || null,
+  createdAt: notification.createdAt
+});
+
+// Store a notification once per (user, key)
+// Returns { notification, created } - created is false when the key was already stored
+const recordNotification = async (userId, type, data, key) => {
+  const collection = getCollection();
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  try {
+    const result = await collection.findOneAndUpdate(
+      { user: userObjectId, key },
+      { $setOnInsert: { type, data, deliveredAt: null, readAt: null, createdAt: new Date() } },
+      { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+    );
+    return { notification: result.value, created: !result.lastErrorObject?.updatedExisting };
+  } catch (error) {
+    // Another instance stored the same notification at the same moment
+    if (error.code === 11000) {
+      return { notification: await collection.findOne({ user: userObjectId, key }), created: false };
+    }
+    throw error;
+  }
+};
+
+const markDelivered = async (notificationIds) => {
+  await getCollection().updateMany(
+    { _id: { $in: notificationIds }, deliveredAt: null },
+    { $set: { deliveredAt: new Date() } }
+  );
+};
+
+// Record a notification and send it to the user's personal room
+// `key` identifies the underlying event (defaults to a unique one); pass `local: true` when every
+// instance emits the same change to its own sockets, as the collection watchers do.
+// An event whose key was already stored is not sent again, except to the sockets of the other
+// instances that are handling the same change (see LOCAL_DUPLICATE_WINDOW_MS).
+// The notification is still sent if it can't be stored; the payload gains `notificationId` when it is.
+const notify = async (io, userId, type, data, { key, local = false } = {}) => {
+  const room = `user-${userId}`;
+
+  let notification = null;
+  try {
+    const recorded = await recordNotification(userId, type, data, key || `${type}:${new mongoose.Types.ObjectId()}`);
+    notification = recorded.notification;
+    const sameChange = local && notification && Date.now() - notification.createdAt.getTime() < LOCAL_DUPLICATE_WINDOW_MS;
+    if (!recorded.created && !sameChange) {
+      log.debug('Notification already sent, skipping', { type, userId, key });
+      return notification;
+    }
+  } catch (error) {
+    log.warn('Could not store notification', { type, userId, error });
+  }
+
+  const payload = notification ? { ...data, notificationId: notification._id.toString() } : data;
+  (local ? io.local : io).to(room).emit(type, payload);
+
+  if (notification && !notification.deliveredAt) {
+    try {
+      const online = local
+        ? (io.of('/').adapter.rooms.get(room)?.size || 0) > 0
+        : (await io.in(room).fetchSockets()).length > 0;
+      if (online) {
+        await markDelivered([notification._id]);
+      }
+    } catch (error) {
+      log.warn('Could not mark notification delivered', { type, userId, error });
+    }
+  }
+  return notification;
+};
+
+// Send a connecting socket everything that couldn't be delivered while the user was offline,
+// oldest first, as the original events with `replayed: true`
+const replayUndelivered = async (socket) => {
+  const notifications = await getCollection()
+    .find({ user: new mongoose.Types.ObjectId(socket.userId), deliveredAt: null })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(REPLAY_LIMIT)
+    .toArray();
+
+  notifications.forEach(notification => {
+    socket.emit(notification.type, { ...notification.data, notificationId: notification._id.toString(), replayed: true });
+  });
+  if (notifications.length > 0) {
+    await markDelivered(notifications.map(n => n._id));
+  }
+  return notifications.length;
+};
+
+// List a user's notifications, newest first
+// `before` is the _id of the last notification the client already has
+const listNotifications = async (userId, { unreadOnly = false, before, limit }) => {
+  const collection = getCollection();
+  const ObjectId = mongoose.Types.ObjectId;
+  const userObjectId = new ObjectId(userId);
+
+  const query = { user: userObjectId };
+  if (unreadOnly) {
+    query.readAt = null;
+  }
+
+  if (before) {
+    const beforeObjectId = new ObjectId(before);
+    const cursorNotification = await collection.findOne(
+      { _id: beforeObjectId, user: userObjectId },
+      { projection: { createdAt: 1 } }
+    );
+    if (!cursorNotification) {
+      return null;
+    }
+    query.$or = [
+      { createdAt: { $lt: cursorNotification.createdAt } },
+      { createdAt: cursorNotification.createdAt, _id: { $lt: beforeObjectId } }
+    ];
+  }
+
+  // Fetch one extra notification to know whether another page exists
+  const [notifications, unreadCount] = await Promise.all([
+    collection.find(query).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).toArray(),
+    collection.countDocuments({ user: userObjectId, readAt: null })
+  ]);
+
+  const hasMore = notifications.length > limit;
+  if (hasMore) {
+    notifications.pop();
+  }
+
+  return {
+    notifications,
+    unreadCount,
+    nextCursor: hasMore ? notifications[notifications.length - 1]._id.toString() : null,
+    hasMore
+  };
+};
+
+// Mark some (notificationIds) or all of a user's notifications as read
+const markNotificationsRead = async (userId, notificationIds) => {
+  const ObjectId = mongoose.Types.ObjectId;
+  const query = { user: new ObjectId(userId), readAt: null };
+  if (notificationIds) {
+    query._id = { $in: notificationIds.map(id => new ObjectId(id)) };
+  }
+  const readAt = new Date();
+  const result = await getCollection().updateMany(query, { $set: { readAt } });
+  return { readAt, count: result.modifiedCount };
+};
+
+// Delete some (notificationIds) or all of a user's notifications
+const clearNotifications = async (userId, notificationIds) => {
+  const ObjectId = mongoose.Types.ObjectId;
+  const query = { user: new ObjectId(userId) };
+  if (notificationIds) {
+    query._id = { $in: notificationIds.map(id => new ObjectId(id)) };
+  }
+  const result = await getCollection().deleteMany(query);
+  return result.deletedCount;
+};
+
+// Drop stored copies of an event whose content was withdrawn (a deleted or hidden message)
+const deleteNotificationsByKey = async (userId, key) => {
+  await getCollection().deleteMany({ user: new mongoose.Types.ObjectId(userId), key });
+};
+
+// Replace fields of a stored event's payload (an edited message) so replays show the current content
+const updateNotificationData = async (userId, key, data) => {
+  const update = {};
+  Object.entries(data).forEach(([field, value]) => {
+    update[`data.${field}`] = value;
+  });
+  await getCollection().updateMany({ user: new mongoose.Types.ObjectId(userId), key }, { $set: update });
+};
+
+module.exports = {
+  ensureNotificationIndexes,
+  formatNotification,
+  notify,
+  replayUndelivered,
+  listNotifications,
+  markNotificationsRead,
+  clearNotifications,
+  deleteNotificationsByKey,
+  updateNotificationData
+};
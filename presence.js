@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+// Online presence and last-seen tracking
+// A user is online while any socket is in their `user-<id>` personal room, so multiple
+// devices/tabs keep the user online until the last one disconnects.
+// First and last sockets are decided from this instance's room size when the socket joins or
+// leaves, so sockets connecting or disconnecting together can't both count. Going offline waits
+// PRESENCE_OFFLINE_DELAY_SECONDS and then checks every instance, so a quick reconnect or a device
+// still connected elsewhere keeps the user online without a flicker.
+
+const log = logger.child({ component: 'presence' });
+
+// Only users messaged within this window count as active counterparts
+const PRESENCE_ACTIVE_DAYS = parseInt(process.env.PRESENCE_ACTIVE_DAYS, 10) || 30;
+const PRESENCE_OFFLINE_DELAY_MS = (parseFloat(process.env.PRESENCE_OFFLINE_DELAY_SECONDS) || 2) * 1000;
+
+// Users whose last local socket left, waiting out the offline delay: userId -> timer
+const pendingOffline = new Map();
+
+const localSocketCount = (io, userId) => io.of('/').adapter.rooms.get(`user-${userId}`)?.size || 0;
+
+// Helper to check whether a user has any connected socket
+const isUserOnline = async (io, userId) => {
+  const sockets = await io.in(`user-${userId}`).fetchSockets();
+  return sockets.length > 0;
+};
+
+// Helper to find users this user has active conversations with
+const getCounterpartIds = async (userId) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  const userObjectId = new ObjectId(userId);
+  const since = new Date(Date.now() - PRESENCE_ACTIVE_DAYS * 24 * 60 * 60 * 1000);
+
+  const [receivers, senders] = await Promise.all([
+    db.collection('quotationmessages').distinct('receiver', { sender: userObjectId, createdAt: { $gte: since } }),
+    db.collection('quotationmessages').distinct('sender', { receiver: userObjectId, createdAt: { $gte: since } })
+  ]);
+
+  const ids = new Set([...receivers, ...senders].map(id => id.toString()));
+  ids.delete(userId);
+  return [...ids];
+};
+
+// Of `userIds`, those the user has exchanged messages with - the only users whose presence they may see
+const filterCounterparts = async (userId, userIds) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  const userObjectId = new ObjectId(userId);
+  const candidates = userIds.map(id => new ObjectId(id));
+
+  const [receivers, senders] = await Promise.all([
+    db.collection('quotationmessages').distinct('receiver', { sender: userObjectId, receiver: { $in: candidates } }),
+    db.collection('quotationmessages').distinct('sender', { receiver: userObjectId, sender: { $in: candidates } })
+  ]);
+
+  const ids = new Set([...receivers, ...senders].map(id => id.toString()));
+  return userIds.filter(id => ids.has(id));
+};
+
+// Broadcast a presence change to everyone the user is talking to
+const broadcastPresence = async (io, userId, presence) => {
+  const counterpartIds = await getCounterpartIds(userId);
+  if (counterpartIds.length === 0) {
+    return;
+  }
+  io.to(counterpartIds.map(id => `user-${id}`)).emit('presence-changed', { userId, ...presence });
+};
+
+// Called right after a socket joined its personal room
+const handlePresenceConnect = async (io, socket) => {
+  // Back within the offline delay - counterparts never saw the user leave
+  const pending = pendingOffline.get(socket.userId);
+  if (pending) {
+    clearTimeout(pending);
+    pendingOffline.delete(socket.userId);
+    return;
+  }
+  // Only the first socket brings the user online; read before anything else can join
+  if (localSocketCount(io, socket.userId) !== 1) {
+    return;
+  }
+  try {
+    // A device on another instance already keeps the user online
+    const sockets = await io.in(`user-${socket.userId}`).fetchSockets();
+    if (sockets.length > 1) {
+      return;
+    }
+    log.debug('User is online', { userId: socket.userId });
+    if (mongoose.connection.readyState === 1) {
+      await broadcastPresence(io, socket.userId, { online: true, lastSeenAt: null });
+    }
+  } catch (error) {
+    log.warn('Could not handle connect', { userId: socket.userId, error });
+  }
+};
+
+// Called on disconnect, once the socket has left its rooms
+const handlePresenceDisconnect = (io, socket) => {
+  const { userId } = socket;
+  if (localSocketCount(io, userId) > 0 || pendingOffline.has(userId)) {
+    return;
+  }
+  const timer = setTimeout(() => {
+    pendingOffline.delete(userId);
+    markOffline(io, userId);
+  }, PRESENCE_OFFLINE_DELAY_MS);
+  timer.unref();
+  pendingOffline.set(userId, timer);
+};
+
+const markOffline = async (io, userId) => {
+  try {
+    if (localSocketCount(io, userId) > 0 || await isUserOnline(io, userId)) {
+      return;
+    }
+    log.debug('User is offline', { userId });
+
+    if (mongoose.connection.readyState !== 1 || !mongoose.connection.db) {
+      return;
+    }
+
+    const lastSeenAt = new Date();
+    await mongoose.connection.db.collection('users').updateOne(
+      { _id: new mongoose.Types.ObjectId(userId) },
+      { $set: { lastSeenAt } }
+    );
+    await broadcastPresence(io, userId, { online: false, lastSeenAt });
+  } catch (error) {
+    log.warn('Could not handle disconnect', { userId, error });
+  }
+};
+
+// Look up presence for a list of user IDs
+const getPresence = async (io, userIds) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  const users = await db.collection('users').find(
+    { _id: { $in: userIds.map(id => new ObjectId(id)) } },
+    { projection: { lastSeenAt: 1 } }
+  ).toArray();
+  const lastSeenById = new Map(users.map(u => [u._id.toString(), u.lastSeenAt || null]));
+
+  return Promise.all(userIds.map(async (userId) => {
+    const online = pendingOffline.has(userId) || await isUserOnline(io, userId);
+    return {
+      userId,
+      online,
+      lastSeenAt: online ? null : (lastSeenById.get(userId) || null)
+    };
+  }));
+};
+
+module.exports = {
+  isUserOnline,
+  filterCounterparts,
+  getPresence,
+  handlePresenceConnect,
+  handlePresenceDisconnect
+};
@@ -0,0 +1,96 @@
+const { createCollectionWatcher } = require('./collectionWatcher');
+const { attachShop, getShopOwnerId } = require('./products');
+const { notify } = require('./notifications');
+const { logger } = require('./logger');
+
+// Product notifications for shop owners, driven by changes to the products collection:
+//   product-approval-changed - an admin approved or rejected the product
+//   low-stock                - inventory.quantity fell to lowStockThreshold or below (`low`),
+//                              or reached zero (`out_of_stock`)
+// Sent as stored notifications to the owner of the product's shop.
+
+const log = logger.child({ component: 'productEvents' });
+
+const APPROVAL_STATUSES = ['approved', 'rejected'];
+const STOCK_LEVEL_SEVERITY = { low: 1, out_of_stock: 2 };
+
+const getStockLevel = (quantity, threshold) => {
+  if (typeof quantity !== 'number') {
+    return null;
+  }
+  if (quantity <= 0) {
+    return 'out_of_stock';
+  }
+  return quantity <= (typeof threshold === 'number' ? threshold : 0) ? 'low' : null;
+};
+
+const createProductEvents = (io, config) => {
+  // Only this instance's sockets - every instance runs the same watchers, and `key` makes
+  // sure the notification is stored once
+  const emitToOwner = async (product, event, payload, key) => {
+    await attachShop(product);
+    const ownerId = getShopOwnerId(product);
+    if (!ownerId) {
+      log.warn('No shop owner for product, event not sent', { productId: product._id, event });
+      return;
+    }
+    await notify(io, ownerId, event, payload, { key, local: true });
+    log.info('Product event sent', { event, productId: product._id, userId: ownerId });
+  };
+
+  const watcher = createCollectionWatcher({
+    name: 'products',
+    collection: 'products',
+    fields: ['approvalStatus', 'inventory.quantity', 'inventory.lowStockThreshold'],
+    onChange: async ({ type, doc, previous, changed }) => {
+      if (type !== 'update') {
+        return;
+      }
+      const productId = doc._id.toString();
+
+      if (changed.includes('approvalStatus') && APPROVAL_STATUSES.includes(doc.approvalStatus)) {
+        // Keyed by the approval time rather than updatedAt, so later edits don't count as a new decision
+        const decidedAt = doc.approvalStatus === 'approved' ? doc.approvedAt : doc.rejectedAt;
+        await emitToOwner(doc, 'product-approval-changed', {
+          productId,
+          name: doc.name,
+          approvalStatus: doc.approvalStatus,
+          rejectionReason: doc.approvalStatus === 'rejected' ? doc.rejectionReason || null : null,
+          changedAt: decidedAt || doc.updatedAt || new Date()
+        }, `product-approval-changed:${productId}:${doc.approvalStatus}:${new Date(decidedAt || 0).getTime()}`);
+      }
+
+      // Only alert when the stock level gets worse, not on every sale below the threshold
+      if (changed.includes('inventory.quantity') && doc.inventory?.trackInventory !== false) {
+        const quantity = doc.inventory?.quantity;
+        const threshold = doc.inventory?.lowStockThreshold;
+        const level = getStockLevel(quantity, threshold);
+        const previousLevel = previous
+          ? getStockLevel(previous['inventory.quantity'], previous['inventory.lowStockThreshold'])
+          : null;
+
+        if (level && STOCK_LEVEL_SEVERITY[level] > (STOCK_LEVEL_SEVERITY[previousLevel] || 0)) {
+          await emitToOwner(doc, 'low-stock', {
+            productId,
+            name: doc.name,
+            sku: doc.inventory?.sku || null,
+            quantity,
+            lowStockThreshold: threshold ?? null,
+            level
+          }, `low-stock:${productId}:${level}:${new Date(doc.updatedAt || 0).getTime()}`);
+        }
+      }
+    }
+  }, config);
+
+  return {
+    start() {
+      watcher.start();
+    },
+    async stop() {
+      await watcher.stop();
+    }
+  };
+};
+
+module.exports = { createProductEvents };
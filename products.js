@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+// Product and shop lookups shared by the chat handlers and product notifications
+// Products reference their shop; the shop's owner is the seller chats and alerts go to.
+
+const log = logger.child({ component: 'products' });
+
+// Replace a product's shop reference with the shop document (null if it can't be loaded)
+const attachShop = async (product) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+  if (!product.shop) {
+    return product;
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  try {
+    let shopObjectId;
+    if (product.shop instanceof ObjectId) {
+      shopObjectId = product.shop;
+    } else if (typeof product.shop === 'string') {
+      shopObjectId = new ObjectId(product.shop);
+    } else {
+      shopObjectId = new ObjectId((product.shop._id || product.shop).toString());
+    }
+    product.shop = await db.collection('shops').findOne({ _id: shopObjectId });
+  } catch (shopError) {
+    log.warn('Could not fetch shop for product', { productId: product._id, error: shopError });
+    product.shop = null;
+  }
+  return product;
+};
+
+// Helper function to get product with shop using native MongoDB driver (bypasses Mongoose buffering)
+const getProductWithShop = async (productId) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+  
+  try {
+    // Convert string ID to ObjectId
+    const ObjectId = mongoose.Types.ObjectId;
+    let productObjectId;
+    try {
+      productObjectId = productId instanceof ObjectId ? productId : new ObjectId(productId);
+    } catch (idError) {
+      throw new Error(`Invalid product ID: ${productId}`);
+    }
+    
+    // Get product using native driver (bypasses Mongoose buffering)
+    const product = await db.collection('products').findOne({ _id: productObjectId });
+    if (!product) {
+      return null;
+    }
+    
+    // Get shop using native driver if product has shop reference
+    return await attachShop(product);
+  } catch (error) {
+    log.error('Error fetching product', { productId, error });
+    throw error;
+  }
+};
+
+// The shop owner's user ID for a product loaded with its shop, or null
+const getShopOwnerId = (product) => {
+  const owner = product?.shop?.owner;
+  if (!owner) {
+    return null;
+  }
+  return owner._id ? owner._id.toString() : owner.toString();
+};
+
+module.exports = {
+  attachShop,
+  getProductWithShop,
+  getShopOwnerId
+};
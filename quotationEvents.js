@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { idOf, quotationRoom } = require('./conversationKeys');
+const { createCollectionWatcher } = require('./collectionWatcher');
+const { notify } = require('./notifications');
+const { logger } = require('./logger');
+
+// Real-time quotation lifecycle events, driven by changes to the quotations and rfqs collections
+// (written by the main backend):
+//   quotation-created         - a supplier quoted an RFQ
+//   quotation-status-changed  - a quotation was accepted, rejected or expired
+//   rfq-closed                - an RFQ stopped accepting quotations
+// Sent as stored notifications to the buyer (rfq.requestedBy) and supplier (quotation.quotedBy),
+// and to the quotation chat room. RFQ chat rooms are private to the buyer and one supplier, who
+// are notified directly, so nothing is sent to them.
+
+const log = logger.child({ component: 'quotationEvents' });
+
+const QUOTATION_STATUSES = ['accepted', 'rejected', 'expired'];
+const RFQ_CLOSED_STATUSES = ['closed', 'cancelled', 'expired'];
+
+const formatQuotation = (quotation) => ({
+  _id: quotation._id.toString(),
+  rfq: idOf(quotation.rfq),
+  quotedBy: idOf(quotation.quotedBy),
+  status: quotation.status || null,
+  createdAt: quotation.createdAt || null,
+  updatedAt: quotation.updatedAt || null
+});
+
+const getRFQ = async (rfqId) => {
+  if (!rfqId) {
+    return null;
+  }
+  return mongoose.connection.db.collection('rfqs').findOne(
+    { _id: rfqId },
+    { projection: { requestedBy: 1, status: 1, title: 1 } }
+  );
+};
+
+// Suppliers who quoted an RFQ - they are told when it closes
+const getQuotingSupplierIds = async (rfqId) => {
+  const supplierIds = await mongoose.connection.db.collection('quotations').distinct('quotedBy', { rfq: rfqId });
+  return supplierIds.filter(Boolean).map(id => id.toString());
+};
+
+const createQuotationEvents = (io, config) => {
+  // Only this instance's sockets - every instance runs the same watchers, and `key` makes
+  // sure the notification is stored once. Conversation rooms skip sockets already notified.
+  const emit = async ({ userIds, rooms }, event, payload, key) => {
+    const recipients = [...new Set(userIds.filter(Boolean))];
+    await Promise.all(recipients.map(userId => notify(io, userId, event, payload, { key, local: true })));
+    if (rooms.length === 0) {
+      return;
+    }
+    const target = rooms.reduce((operator, room) => operator.to(room), io.local);
+    target.except(recipients.map(userId => `user-${userId}`)).emit(event, payload);
+  };
+
+  const quotationWatcher = createCollectionWatcher({
+    name: 'quotations',
+    collection: 'quotations',
+    fields: ['status'],
+    onChange: async ({ type, doc, previous, changed }) => {
+      const rfq = await getRFQ(doc.rfq);
+      const buyerId = idOf(rfq?.requestedBy);
+      const supplierId = idOf(doc.quotedBy);
+      const audience = {
+        userIds: [buyerId, supplierId],
+        rooms: [quotationRoom(doc._id)]
+      };
+      const quotation = formatQuotation(doc);
+
+      if (type === 'insert') {
+        await emit(audience, 'quotation-created', { quotation, quotationId: quotation._id, rfqId: quotation.rfq }, `quotation-created:${quotation._id}`);
+        log.info('quotation-created sent', { quotationId: quotation._id, rfqId: quotation.rfq });
+        return;
+      }
+
+      if (changed.includes('status') && QUOTATION_STATUSES.includes(doc.status)) {
+        await emit(audience, 'quotation-status-changed', {
+          quotation,
+          quotationId: quotation._id,
+          rfqId: quotation.rfq,
+          status: doc.status,
+          previousStatus: previous ? previous.status || null : null
+        }, `quotation-status-changed:${quotation._id}:${doc.status}:${new Date(doc.updatedAt || 0).getTime()}`);
+        log.info('quotation-status-changed sent', { quotationId: quotation._id, status: doc.status });
+      }
+    }
+  }, config);
+
+  const rfqWatcher = createCollectionWatcher({
+    name: 'rfqs',
+    collection: 'rfqs',
+    fields: ['status'],
+    onChange: async ({ type, doc, changed }) => {
+      if (type !== 'update' || !changed.includes('status') || !RFQ_CLOSED_STATUSES.includes(doc.status)) {
+        return;
+      }
+      const supplierIds = await getQuotingSupplierIds(doc._id);
+      await emit({ userIds: [idOf(doc.requestedBy), ...supplierIds], rooms: [] }, 'rfq-closed', {
+        rfqId: doc._id.toString(),
+        status: doc.status,
+        requestedBy: idOf(doc.requestedBy),
+        closedAt: doc.updatedAt || new Date()
+      }, `rfq-closed:${doc._id}:${doc.status}`);
+      log.info('rfq-closed sent', { rfqId: doc._id, status: doc.status });
+    }
+  }, config);
+
+  return {
+    start() {
+      quotationWatcher.start();
+      rfqWatcher.start();
+    },
+    async stop() {
+      await Promise.all([quotationWatcher.stop(), rfqWatcher.stop()]);
+    }
+  };
+};
+
+module.exports = { createQuotationEvents };
@@ -0,0 +1,149 @@
+const { ERROR_CODES, getRequestId, emitError } = require('./errors');
+const { logger } = require('./logger');
+
+// Token-bucket rate limiting for socket events, per user and per event name
+// Buckets are keyed by user rather than socket so several devices/tabs share one allowance.
+//
+// Limits are read from environment variables as `<tokens>/<seconds>`:
+//   RATE_LIMIT_DEFAULT        - any event without its own limit (default: 60/60); events no handler
+//                               listens for share a single bucket with this limit
+//   RATE_LIMIT_SEND_MESSAGE   - send-message (default: 20/60)
+//   RATE_LIMIT_TYPING         - typing and stop-typing share one bucket (default: 30/10)
+//   RATE_LIMIT_<EVENT_NAME>   - any other event, e.g. RATE_LIMIT_FETCH_HISTORY
+//   RATE_LIMIT_ENABLED=false  - turn limiting off
+
+const log = logger.child({ component: 'rateLimiter' });
+
+const DEFAULT_LIMITS = {
+  default: '60/60',
+  'send-message': '20/60',
+  typing: '30/10'
+};
+
+// Events that draw from another event's bucket
+const SHARED_BUCKETS = {
+  'stop-typing': 'typing'
+};
+
+// Drop buckets that have been idle (and therefore full) for this long
+const IDLE_BUCKET_TTL = 10 * 60 * 1000;
+
+// Parse `<tokens>/<seconds>` into { capacity, refillPerMs }, or null if malformed
+const parseLimitValue = (value) => {
+  const match = /^\s*(\d+)\s*\/\s*(\d+(?:\.\d+)?)\s*$/.exec(value || '');
+  if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) {
+    return null;
+  }
+  const capacity = Number(match[1]);
+  return { capacity, refillPerMs: capacity / (Number(match[2]) * 1000) };
+};
+
+// Parse a configured limit, falling back to a built-in default when it is missing or malformed
+const parseLimit = (value, fallback) => {
+  const limit = parseLimitValue(value);
+  if (limit) {
+    return limit;
+  }
+  if (value) {
+    log.warn('Ignoring invalid rate limit', { limit: value, using: fallback });
+  }
+  return parseLimitValue(fallback);
+};
+
+const envKeyFor = (event) => `RATE_LIMIT_${event.replace(/[^a-zA-Z0-9]/g, '_').toUpperCase()}`;
+
+// Build the rate limit config from environment variables
+// Only configured events are cached, so unknown event names can't grow the cache
+const loadRateLimitConfig = (env = process.env) => {
+  const defaultLimit = parseLimit(env.RATE_LIMIT_DEFAULT, DEFAULT_LIMITS.default);
+  const cache = new Map();
+  const hasLimit = (event) => Boolean(env[envKeyFor(event)] || DEFAULT_LIMITS[event]);
+
+  return {
+    enabled: env.RATE_LIMIT_ENABLED !== 'false',
+    hasLimit,
+    limitFor(event) {
+      if (!hasLimit(event)) {
+        return defaultLimit;
+      }
+      if (!cache.has(event)) {
+        cache.set(event, parseLimit(env[envKeyFor(event)], DEFAULT_LIMITS[event] || DEFAULT_LIMITS.default));
+      }
+      return cache.get(event);
+    }
+  };
+};
+
+// Token buckets keyed by `<userId>:<event>`
+const createTokenBucketLimiter = (config) => {
+  const buckets = new Map();
+
+  // Periodically forget idle buckets so disconnected users don't leak memory
+  const cleanupInterval = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      if (now - bucket.updatedAt > IDLE_BUCKET_TTL) {
+        buckets.delete(key);
+      }
+    });
+  }, IDLE_BUCKET_TTL);
+  cleanupInterval.unref();
+
+  // Take one token; returns { allowed, retryAfterMs }
+  // `handled` is false for events no handler listens for - without a limit of their own they draw
+  // from the shared default bucket, so made-up event names can't create buckets
+  const consume = (userId, event, handled = true) => {
+    let bucketEvent = SHARED_BUCKETS[event] || event;
+    if (!handled && !config.hasLimit(bucketEvent)) {
+      bucketEvent = 'default';
+    }
+    const { capacity, refillPerMs } = config.limitFor(bucketEvent);
+    const key = `${userId}:${bucketEvent}`;
+    const now = Date.now();
+
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, retryAfterMs: 0 };
+    }
+    return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+  };
+
+  return { consume };
+};
+
+// Socket.IO per-socket middleware (socket.use) rejecting events over the limit
+// Rejected events never reach their handler; the client gets a RATE_LIMITED error
+// on the `error` event and in the acknowledgement if one was requested.
+const createRateLimitMiddleware = (limiter, config) => (socket) => (packet, next) => {
+  if (!config.enabled) {
+    return next();
+  }
+
+  const [event, ...args] = packet;
+  const { allowed, retryAfterMs } = limiter.consume(socket.userId, event, socket.listeners(event).length > 0);
+  if (allowed) {
+    return next();
+  }
+
+  const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : undefined;
+  const data = typeof args[0] === 'function' ? undefined : args[0];
+  log.warn('Rate limited', { retryAfterMs });
+  emitError(socket, ERROR_CODES.RATE_LIMITED, {
+    event,
+    requestId: getRequestId(data),
+    respond: ack,
+    retryAfterMs,
+    clientMessageId: data?.clientMessageId || undefined
+  });
+};
+
+module.exports = {
+  loadRateLimitConfig,
+  createTokenBucketLimiter,
+  createRateLimitMiddleware
+};
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { idOf } = require('./conversationKeys');
+
+// RFQ access policy
+// An RFQ conversation is between the buyer who requested it and the suppliers who might quote:
+// - the requester (rfq.requestedBy)
+// - anyone who already submitted a quotation for the RFQ (quotations collection)
+// - shop owners whose shop sells in one of the RFQ's categories
+
+const RFQ_ROLES = {
+  REQUESTER: 'requester',
+  SUPPLIER: 'supplier'
+};
+
+// RFQs carry either a single category or a list of categories
+const getRFQCategories = (rfq) => {
+  const categories = [];
+  if (Array.isArray(rfq.categories)) categories.push(...rfq.categories);
+  if (rfq.category) categories.push(rfq.category);
+  return [...new Set(categories.filter(c => typeof c === 'string' && c.trim()).map(c => c.trim()))];
+};
+
+// Helper to check whether a user submitted a quotation for the RFQ
+const hasQuotedRFQ = async (db, rfq, userObjectId) => {
+  const count = await db.collection('quotations').countDocuments(
+    { rfq: rfq._id, quotedBy: userObjectId },
+    { limit: 1 }
+  );
+  return count > 0;
+};
+
+// Helper to check whether a user owns a shop in one of the RFQ's categories
+const ownsShopInRFQCategory = async (db, rfq, userObjectId) => {
+  const categories = getRFQCategories(rfq);
+  if (categories.length === 0) {
+    return false;
+  }
+  const count = await db.collection('shops').countDocuments(
+    {
+      owner: userObjectId,
+      $or: [
+        { categories: { $in: categories } },
+        { category: { $in: categories } }
+      ]
+    },
+    { limit: 1 }
+  );
+  return count > 0;
+};
+
+// Resolve a user's role in an RFQ conversation: 'requester', 'supplier' or null (no access)
+// userRole is the JWT role when known; otherwise it is loaded from the users collection
+const getRFQParticipantRole = async (rfq, userId, userRole) => {
+  if (!rfq || !userId) {
+    return null;
+  }
+  if (idOf(rfq.requestedBy) === userId) {
+    return RFQ_ROLES.REQUESTER;
+  }
+
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  const userObjectId = new ObjectId(userId);
+
+  if (await hasQuotedRFQ(db, rfq, userObjectId)) {
+    return RFQ_ROLES.SUPPLIER;
+  }
+
+  let role = userRole;
+  if (!role) {
+    const user = await db.collection('users').findOne({ _id: userObjectId }, { projection: { role: 1 } });
+    role = user?.role;
+  }
+  if (role === 'shop_owner' && await ownsShopInRFQCategory(db, rfq, userObjectId)) {
+    return RFQ_ROLES.SUPPLIER;
+  }
+
+  return null;
+};
+
+module.exports = {
+  RFQ_ROLES,
+  getRFQCategories,
+  getRFQParticipantRole
+};
@@ -2,10 +2,26 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const path = require('path');
+// Load .env before the app's own modules - several read their settings when they load
 require('dotenv').config({ path: path.join(__dirname, '.env') });
+const crypto = require('crypto');
+const { getUnreadSummary } = require('./unreadCounters');
+const { handlePresenceConnect, handlePresenceDisconnect } = require('./presence');
+const { logger } = require('./logger');
+const { ERROR_CODES, emitError, createConnectError, withRequestContext } = require('./errors');
+const { loadRateLimitConfig, createTokenBucketLimiter, createRateLimitMiddleware } = require('./rateLimiter');
+const { getAdapterType, setupAdapter } = require('./socketAdapter');
+const { getSocketToken, authenticateToken, startSocketRevalidation } = require('./auth');
+const { requireModerator, requireDiagnosticsAccess } = require('./adminAccess');
+const { getWatchConfig } = require('./collectionWatcher');
+const { createQuotationEvents } = require('./quotationEvents');
+const { createProductEvents } = require('./productEvents');
+const { createB2BEvents, joinB2BReviewers } = require('./b2bEvents');
+const { replayUndelivered } = require('./notifications');
+const { registerServerMetrics, instrumentSocket, recordAuthFailure, metricsHandler, trackDbOperation } = require('./metrics');
+const attachmentRoutes = require('./attachmentRoutes');
 
 // Try to load config from Backend if .env is not available
 let MONGODB_URI = process.env.MONGODB_URI;
@@ -13,15 +29,41 @@ let JWT_SECRET = process.env.JWT_SECRET;
 
 // Ensure required environment variables are set
 if (!MONGODB_URI) {
-  console.error('❌ MONGODB_URI is required. Please set it in .env file');
+  logger.error('MONGODB_URI is required. Please set it in .env file');
   process.exit(1);
 }
 
 if (!JWT_SECRET) {
-  console.error('❌ JWT_SECRET is required. Please set it in .env file');
+  logger.error('JWT_SECRET is required. Please set it in .env file');
   process.exit(1);
 }
 
+// Socket.IO adapter for running several instances (memory, redis or mongo)
+let SOCKET_ADAPTER;
+try {
+  SOCKET_ADAPTER = getAdapterType(process.env);
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+
+// How lifecycle events watch the database (change streams, polling or off)
+let COLLECTION_WATCH;
+try {
+  COLLECTION_WATCH = getWatchConfig(process.env);
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+
+// Socket.IO connection state recovery for short disconnects (0 = off)
+// Recovered sockets get their rooms and missed packets back and skip the messages-sync replay.
+// The redis adapter can't recover sessions, so recovery only helps with the memory and mongo adapters.
+const CONNECTION_STATE_RECOVERY_SECONDS = parseInt(process.env.CONNECTION_STATE_RECOVERY_SECONDS, 10) || 0;
+if (CONNECTION_STATE_RECOVERY_SECONDS > 0 && SOCKET_ADAPTER === 'redis') {
+  logger.warn('CONNECTION_STATE_RECOVERY_SECONDS has no effect with the redis adapter; clients rely on messages-sync');
+}
+
 // Don't load socketHandlers yet - wait for DB connection
 // const socketHandlers = require('./socketHandlers');
 
@@ -35,12 +77,23 @@ const corsOrigins = process.env.CORS_ORIGIN
       : process.env.CORS_ORIGIN.split(',').map(o => o.trim()))
   : '*';
 
+// Rate limits per user and per event - configured with RATE_LIMIT_* variables
+const rateLimitConfig = loadRateLimitConfig(process.env);
+const rateLimit = createRateLimitMiddleware(createTokenBucketLimiter(rateLimitConfig), rateLimitConfig);
+
 const io = new Server(server, {
   cors: {
     origin: corsOrigins,
     methods: ['GET', 'POST'],
     credentials: true
-  }
+  },
+  ...(CONNECTION_STATE_RECOVERY_SECONDS > 0 && {
+    connectionStateRecovery: {
+      maxDisconnectionDuration: CONNECTION_STATE_RECOVERY_SECONDS * 1000,
+      // Re-run authentication so socket.userId and the role are set on recovered sockets too
+      skipMiddlewares: false
+    }
+  })
 });
 
 // Middleware - configure CORS for HTTP requests
@@ -71,17 +124,57 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.json());
 
-// Health check
-app.get('/health', (req, res) => {
+// Attachment upload and download
+app.use('/attachments', attachmentRoutes);
+
+// Liveness - the process is up and serving HTTP (`/health` is kept for existing monitors)
+const liveness = (req, res) => {
   res.json({
     status: 'OK',
     service: 'WebSocket Server',
     timestamp: new Date().toISOString()
   });
+};
+app.get('/health', liveness);
+app.get('/health/live', liveness);
+
+// Readiness - MongoDB answers a ping, the Socket.IO adapter is installed and the socket handlers
+// are loaded. Returns 503 until then, so load balancers hold traffic back.
+app.get('/health/ready', async (req, res) => {
+  const checks = {
+    mongo: false,
+    adapter: adapterReady,
+    handlers: Boolean(socketHandlers)
+  };
+
+  if (mongoose.connection.readyState === 1 && mongoose.connection.db) {
+    try {
+      await trackDbOperation('health_ping', Promise.race([
+        mongoose.connection.db.admin().ping(),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('Ping timeout after 2 seconds')), 2000)
+        )
+      ]));
+      checks.mongo = true;
+    } catch (error) {
+      logger.warn('Readiness ping failed', { error });
+    }
+  }
+
+  const ready = Object.values(checks).every(Boolean);
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checks,
+    timestamp: new Date().toISOString()
+  });
 });
 
-// Comprehensive test endpoint
-app.get('/test', async (req, res) => {
+// Prometheus metrics
+app.get('/metrics', metricsHandler);
+
+// Comprehensive test endpoint - reveals database and host details, so admins and
+// DIAGNOSTICS_TOKEN holders only
+app.get('/test', requireDiagnosticsAccess, async (req, res) => {
   try {
     const dbState = mongoose.connection.readyState;
     const dbStateText = {
@@ -213,13 +306,15 @@ function formatUptime(seconds) {
 // Track DB connection state
 let dbConnected = false;
 
+// A shared adapter must be installed before any client connects
+let adapterReady = SOCKET_ADAPTER === 'memory';
+
 // Connect to MongoDB
 const connectDB = async () => {
   try {
     const mongoUri = MONGODB_URI || process.env.MONGODB_URI;
     if (!mongoUri) {
-      console.error('❌ MONGODB_URI is not set');
-      console.error('💡 Please create a .env file in SocketServer folder with MONGODB_URI and JWT_SECRET');
+      logger.error('MONGODB_URI is not set. Please create a .env file in SocketServer folder with MONGODB_URI and JWT_SECRET');
       process.exit(1);
     }
     
@@ -228,22 +323,22 @@ const connectDB = async () => {
     
     // Add connection event listeners
     mongoose.connection.on('connected', () => {
-      console.log('📡 MongoDB connection event: connected');
+      logger.info('MongoDB connection event: connected');
       dbConnected = true;
     });
     
     mongoose.connection.on('error', (err) => {
-      console.error('❌ MongoDB connection error:', err);
+      logger.error('MongoDB connection error', { error: err });
       dbConnected = false;
     });
     
     mongoose.connection.on('disconnected', () => {
-      console.warn('⚠️  MongoDB disconnected');
+      logger.warn('MongoDB disconnected');
       dbConnected = false;
     });
     
     mongoose.connection.on('reconnected', () => {
-      console.log('✅ MongoDB reconnected');
+      logger.info('MongoDB reconnected');
       dbConnected = true;
     });
     
@@ -266,15 +361,16 @@ const connectDB = async () => {
             try {
               // Test that Product model is accessible
               const testCount = await mongoose.connection.db.collection('products').countDocuments({}, { limit: 1 });
-              console.log('✅ Models verified and ready');
+              logger.debug('Models verified and ready');
             } catch (error) {
-              console.warn('⚠️  Model verification warning:', error.message);
+              logger.warn('Model verification warning', { error });
             }
             
             dbConnected = true;
-            console.log('✅ MongoDB connected for WebSocket server');
-            console.log('📊 Connection state:', mongoose.connection.readyState);
-            console.log('📊 Database name:', mongoose.connection.db?.databaseName);
+            logger.info('MongoDB connected for WebSocket server', {
+              readyState: mongoose.connection.readyState,
+              database: mongoose.connection.db?.databaseName
+            });
             resolve();
           } else {
             // Wait for connection event
@@ -288,15 +384,16 @@ const connectDB = async () => {
                 try {
                   // Test that Product model is accessible
                   const testCount = await mongoose.connection.db.collection('products').countDocuments({}, { limit: 1 });
-                  console.log('✅ Models verified and ready');
+                  logger.debug('Models verified and ready');
                 } catch (error) {
-                  console.warn('⚠️  Model verification warning:', error.message);
+                  logger.warn('Model verification warning', { error });
                 }
                 
                 dbConnected = true;
-                console.log('✅ MongoDB connected for WebSocket server');
-                console.log('📊 Connection state:', mongoose.connection.readyState);
-                console.log('📊 Database name:', mongoose.connection.db?.databaseName);
+                logger.info('MongoDB connected for WebSocket server', {
+                  readyState: mongoose.connection.readyState,
+                  database: mongoose.connection.db?.databaseName
+                });
                 resolve();
               } catch (error) {
                 reject(error);
@@ -313,23 +410,35 @@ const connectDB = async () => {
     
     // Wait a bit more to ensure everything is stable
     await new Promise(resolve => setTimeout(resolve, 500));
+
+    // Install the Socket.IO adapter (may use the Mongo connection) before accepting sockets
+    await setupAdapter(io, process.env);
+    adapterReady = true;
     
     // Load socket handlers after connection is fully established
     setupSocketHandlers();
+
+    // Push quotation and RFQ lifecycle changes made by the main backend
+    createQuotationEvents(io, COLLECTION_WATCH).start();
+
+    // Tell shop owners about product approvals and low stock
+    createProductEvents(io, COLLECTION_WATCH).start();
+
+    // Tell B2B applicants about reviews and keep reviewers' pending queue live
+    createB2BEvents(io, COLLECTION_WATCH).start();
     
     // Add connection health monitoring
     setInterval(() => {
       const state = mongoose.connection.readyState;
       if (state !== 1) {
-        console.warn(`⚠️  Connection health check: State is ${state} (expected 1)`);
+        logger.warn('Connection health check failed', { readyState: state, expected: 1 });
         dbConnected = false;
       } else {
         dbConnected = true;
       }
     }, 30000); // Check every 30 seconds
   } catch (error) {
-    console.error('❌ MongoDB connection error:', error.message);
-    console.error('💡 Make sure MONGODB_URI is set correctly');
+    logger.error('MongoDB connection error. Make sure MONGODB_URI is set correctly', { error });
     dbConnected = false;
     process.exit(1);
   }
@@ -337,48 +446,113 @@ const connectDB = async () => {
 
 connectDB();
 
-// Socket.io authentication middleware
-io.use(async (socket, next) => {
+// Socket.io authentication middleware, shared by the chat and /admin namespaces
+const authenticateSocket = async (socket, next) => {
+  // Identifies the connection in logs and error payloads
+  socket.correlationId = crypto.randomUUID();
   try {
-    const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
+    if (!adapterReady) {
+      recordAuthFailure(socket.nsp.name, 'server_not_ready');
+      return next(createConnectError(ERROR_CODES.SERVER_NOT_READY, undefined, socket.correlationId));
+    }
+
+    const token = getSocketToken(socket);
     
     if (!token) {
-      return next(new Error('Authentication token required'));
+      recordAuthFailure(socket.nsp.name, 'missing_token');
+      return next(createConnectError(ERROR_CODES.AUTH_FAILED, 'Authentication token required', socket.correlationId));
     }
 
-    const secret = JWT_SECRET || process.env.JWT_SECRET;
-    if (!secret) {
-      return next(new Error('JWT_SECRET not configured'));
-    }
-    const decoded = jwt.verify(token, secret);
-    socket.userId = decoded.userId;
-    socket.userRole = decoded.role;
+    // Verifies the signature, the account status and token revocation
+    const auth = await authenticateToken(token);
+    socket.userId = auth.userId;
+    socket.userRole = auth.role;
+    socket.userPermissions = auth.permissions;
+    socket.tokenJti = auth.jti;
+    socket.tokenIssuedAt = auth.issuedAt;
+    // socket.data is what fetchSockets() exposes across instances (admin connection lists)
+    socket.data = { userId: auth.userId, role: auth.role, connectedAt: new Date() };
     next();
   } catch (error) {
-    next(new Error('Authentication failed'));
+    if (error.code === ERROR_CODES.SERVER_NOT_READY) {
+      recordAuthFailure(socket.nsp.name, 'server_not_ready');
+      return next(createConnectError(ERROR_CODES.SERVER_NOT_READY, undefined, socket.correlationId));
+    }
+    const reason = error.code === ERROR_CODES.AUTH_FAILED ? 'rejected' : 'error';
+    recordAuthFailure(socket.nsp.name, reason);
+    logger[reason === 'error' ? 'error' : 'info']('Socket authentication failed', {
+      correlationId: socket.correlationId,
+      namespace: socket.nsp.name,
+      reason,
+      error
+    });
+    next(createConnectError(ERROR_CODES.AUTH_FAILED, error.code === ERROR_CODES.AUTH_FAILED ? error.message : undefined, socket.correlationId));
   }
-});
+};
+
+io.use(authenticateSocket);
+
+// Moderation console - admins, and sub-admins with the user.manage permission
+const adminNamespace = io.of('/admin');
+adminNamespace.use(authenticateSocket);
+adminNamespace.use(requireModerator);
+
+// Periodically disconnect sockets of users who were blocked or had their tokens revoked
+const AUTH_REVALIDATE_INTERVAL_MS = (parseInt(process.env.AUTH_REVALIDATE_INTERVAL_SECONDS, 10) || 60) * 1000;
+startSocketRevalidation(io, AUTH_REVALIDATE_INTERVAL_MS, ['/', '/admin']);
+
+// Socket and room gauges for /metrics
+registerServerMetrics(io, ['/', '/admin']);
 
 // Socket.io connection handler
 // Load socketHandlers after DB connection
 let socketHandlers = null;
+let adminHandlers = null;
 
 // Wait for DB connection before setting up socket handlers
 const setupSocketHandlers = () => {
   if (!socketHandlers && mongoose.connection.readyState === 1) {
     socketHandlers = require('./socketHandlers');
-    console.log('✅ Socket handlers loaded');
+    adminHandlers = require('./adminHandlers');
+    logger.info('Socket handlers loaded');
   }
 };
 
 io.on('connection', (socket) => {
-  console.log(`✅ User connected: ${socket.userId}`);
-  console.log(`📊 DB connection state: ${mongoose.connection.readyState} (1=connected, 0=disconnected)`);
-  console.log(`📊 DB connected flag: ${dbConnected}`);
+  const log = logger.child({ correlationId: socket.correlationId, userId: socket.userId });
+  log.info('User connected', { recovered: socket.recovered, readyState: mongoose.connection.readyState, dbConnected });
 
   // Join user's personal room
   socket.join(`user-${socket.userId}`);
 
+  // Tag every event's log lines and error payloads with the correlation and request IDs
+  socket.use(withRequestContext(socket));
+
+  // Throttle incoming events before they reach any handler
+  socket.use(rateLimit(socket));
+
+  // Count and time every event handler attached below
+  instrumentSocket(socket);
+
+  // Announce the user as online if this is their first connected device
+  handlePresenceConnect(io, socket);
+
+  // Send unread counters for the header badge and inbox
+  if (dbConnected && mongoose.connection.readyState === 1) {
+    getUnreadSummary(socket.userId)
+      .then(summary => socket.emit('unread-summary', summary))
+      .catch(error => log.warn('Could not build unread summary', { error }));
+
+    // Replay notifications stored while the user had no connected device
+    replayUndelivered(socket)
+      .then(count => count > 0 && log.info('Replayed notifications', { count }))
+      .catch(error => log.warn('Could not replay notifications', { error }));
+
+    // Admins and sub-admins with permissions.b2b.view get the pending B2B request queue
+    joinB2BReviewers(socket)
+      .catch(error => log.warn('Could not send B2B request queue', { error }));
+  }
+
   // Load socket handlers if DB is connected
   if (dbConnected && mongoose.connection.readyState === 1) {
     if (!socketHandlers) {
@@ -386,27 +560,55 @@ io.on('connection', (socket) => {
     }
     if (socketHandlers) {
       socketHandlers(io, socket);
-      console.log(`✅ Socket handlers attached for user: ${socket.userId}`);
+      log.debug('Socket handlers attached');
+
+      // Replay messages changed since the client's lastSyncedAt / lastMessageId
+      socketHandlers.syncMissedMessages(socket)
+        .catch(error => log.warn('Could not sync missed messages', { error }));
     } else {
-      console.warn(`⚠️  Socket handlers not loaded for user: ${socket.userId}`);
-      socket.emit('error', { message: 'Server not ready. Please try again.' });
+      log.warn('Socket handlers not loaded');
+      emitError(socket, ERROR_CODES.SERVER_NOT_READY, { event: 'connect' });
     }
   } else {
-    console.warn(`⚠️  Database not connected, socket handlers not available for user: ${socket.userId}`);
-    console.warn(`   DB state: ${mongoose.connection.readyState}, dbConnected: ${dbConnected}`);
-    socket.emit('error', { message: 'Server not ready. Please try again.' });
+    log.warn('Database not connected, socket handlers not available', { readyState: mongoose.connection.readyState, dbConnected });
+    emitError(socket, ERROR_CODES.SERVER_NOT_READY, { event: 'connect' });
   }
 
   // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log(`❌ User disconnected: ${socket.userId}`);
+  socket.on('disconnect', (reason) => {
+    log.info('User disconnected', { reason });
+
+    // Mark the user offline once their last device disconnects
+    handlePresenceDisconnect(io, socket);
+  });
+});
+
+adminNamespace.on('connection', (socket) => {
+  const log = logger.child({ correlationId: socket.correlationId, userId: socket.userId, namespace: '/admin' });
+  log.info('Moderator connected', { role: socket.userRole });
+
+  socket.use(withRequestContext(socket));
+  socket.use(rateLimit(socket));
+  instrumentSocket(socket);
+
+  if (!socketHandlers) {
+    setupSocketHandlers();
+  }
+  if (adminHandlers) {
+    adminHandlers(io, socket);
+  } else {
+    log.warn('Admin handlers not loaded');
+    emitError(socket, ERROR_CODES.SERVER_NOT_READY, { event: 'connect' });
+  }
+
+  socket.on('disconnect', (reason) => {
+    log.info('Moderator disconnected', { reason });
   });
 });
 
 const PORT = process.env.PORT || 3001;
 
 server.listen(PORT, () => {
-  console.log(`🚀 WebSocket server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+  logger.info('WebSocket server running', { port: PORT, environment: process.env.NODE_ENV || 'development' });
 });
 
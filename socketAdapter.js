@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+// Pluggable Socket.IO adapter so several server instances share rooms and broadcasts
+// Selected with SOCKET_ADAPTER:
+//   memory (default) - single process, Socket.IO's built-in in-memory adapter
+//   redis            - Redis pub/sub via @socket.io/redis-adapter (REDIS_URL)
+//   mongo            - MongoDB change streams via @socket.io/mongo-adapter, using the existing
+//                      Mongo connection (requires a replica set or sharded cluster)
+// With redis or mongo, `io.to('user-<id>')`, `fetchSockets()` (presence, admin connection lists)
+// and room broadcasts reach sockets connected to any instance.
+
+const log = logger.child({ component: 'socketAdapter' });
+
+const ADAPTER_TYPES = ['memory', 'redis', 'mongo'];
+
+const DEFAULT_ADAPTER_COLLECTION = 'socket.io-adapter-events';
+
+// Adapter events only need to live long enough to reach the other instances
+const ADAPTER_EVENTS_TTL_SECONDS = 3600;
+
+const getAdapterType = (env = process.env) => {
+  const type = (env.SOCKET_ADAPTER || 'memory').trim().toLowerCase();
+  if (!ADAPTER_TYPES.includes(type)) {
+    throw new Error(`Unknown SOCKET_ADAPTER "${env.SOCKET_ADAPTER}" (expected one of: ${ADAPTER_TYPES.join(', ')})`);
+  }
+  return type;
+};
+
+const createRedisAdapter = async (env) => {
+  if (!env.REDIS_URL) {
+    throw new Error('REDIS_URL is required when SOCKET_ADAPTER=redis');
+  }
+  // Loaded lazily so single-instance deployments don't need Redis packages configured
+  const { createClient } = require('redis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+
+  const pubClient = createClient({ url: env.REDIS_URL });
+  const subClient = pubClient.duplicate();
+  pubClient.on('error', (error) => log.error('Redis pub client error', { error }));
+  subClient.on('error', (error) => log.error('Redis sub client error', { error }));
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  return {
+    adapter: createAdapter(pubClient, subClient),
+    close: async () => {
+      await Promise.allSettled([pubClient.quit(), subClient.quit()]);
+    }
+  };
+};
+
+const createMongoAdapter = async (env) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+  const { createAdapter } = require('@socket.io/mongo-adapter');
+
+  const collection = db.collection(env.SOCKET_ADAPTER_COLLECTION || DEFAULT_ADAPTER_COLLECTION);
+  await collection.createIndex(
+    { createdAt: 1 },
+    { name: 'createdAt_ttl', expireAfterSeconds: ADAPTER_EVENTS_TTL_SECONDS }
+  );
+
+  return {
+    adapter: createAdapter(collection, { addCreatedAtField: true }),
+    close: async () => {}
+  };
+};
+
+// Install the configured adapter on the server
+// Must run before clients connect: switching adapters re-creates every namespace's rooms.
+// Returns a close() function for shutdown.
+const setupAdapter = async (io, env = process.env) => {
+  const type = getAdapterType(env);
+  if (type === 'memory') {
+    log.info('Using in-memory adapter (single instance)');
+    return { type, close: async () => {} };
+  }
+
+  const { adapter, close } = type === 'redis'
+    ? await createRedisAdapter(env)
+    : await createMongoAdapter(env);
+  io.adapter(adapter);
+  log.info('Using shared adapter', { type });
+  return { type, close };
+};
+
+module.exports = {
+  ADAPTER_TYPES,
+  getAdapterType,
+  setupAdapter
+};
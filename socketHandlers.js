@@ -3,6 +3,38 @@ const mongoose = require('mongoose');
 // Models are defined locally for standalone deployment
 const Product = require('./models/Product');
 const User = require('./models/User');
+const { emitUnreadUpdate } = require('./unreadCounters');
+const { filterCounterparts, getPresence } = require('./presence');
+const { canModerate } = require('./adminAccess');
+const { RFQ_ROLES, getRFQParticipantRole } = require('./rfqAccess');
+const { quotationRoom, rfqRoom, productRoom, getConversationRoom, getMessageRoom } = require('./conversationKeys');
+const {
+  ensureConversationIndexes,
+  formatConversation,
+  recordMessage,
+  setUnreadCount,
+  listConversations,
+  getConversation,
+  updateConversationFlags,
+  updateLastMessagePreview,
+  emitConversationUpdated
+} = require('./conversations');
+const { ERROR_CODES, SocketError, getRequestId, classifyError, emitError } = require('./errors');
+const { logger } = require('./logger');
+const { resolveAttachments, claimAttachments, releaseAttachments } = require('./attachments');
+const { loadMessageFilterConfig, createMessageFilter } = require('./messageFilter');
+const { getProductWithShop, getShopOwnerId } = require('./products');
+const { trackDbOperation } = require('./metrics');
+const {
+  ensureNotificationIndexes,
+  formatNotification,
+  notify,
+  listNotifications,
+  markNotificationsRead,
+  clearNotifications,
+  deleteNotificationsByKey,
+  updateNotificationData
+} = require('./notifications');
 
 // Helper to check if DB is connected and ready
 const isDBConnected = () => {
@@ -23,19 +55,19 @@ const waitForDB = async (maxRetries = 15, delay = 1000) => {
         // Test actual query to ensure models are ready
         await mongoose.connection.db.collection('users').countDocuments({}, { limit: 1 });
         
-        console.log(`✅ [waitForDB] DB ready and models accessible (attempt ${i + 1})`);
+        logger.debug('DB ready and models accessible', { attempt: i + 1 });
         return true;
       } catch (error) {
-        console.warn(`⚠️  [waitForDB] Test failed (attempt ${i + 1}):`, error.message);
+        logger.warn('DB readiness test failed', { attempt: i + 1, error });
         await new Promise(resolve => setTimeout(resolve, 500));
         continue;
       }
     } else {
-      console.log(`⏳ [waitForDB] Waiting for DB (state: ${state}, attempt ${i + 1}/${maxRetries})`);
+      logger.info('Waiting for DB', { readyState: state, attempt: i + 1, maxRetries });
     }
     await new Promise(resolve => setTimeout(resolve, delay));
   }
-  console.error(`❌ [waitForDB] Max retries reached. DB not ready.`);
+  logger.error('DB not ready after max retries', { maxRetries });
   return false;
 };
 
@@ -51,7 +83,7 @@ const getQuotation = async (quotationId) => {
     const quotation = await db.collection('quotations').findOne({ _id: quotationObjectId });
     return quotation;
   } catch (error) {
-    console.error(`❌ [getQuotation] Error fetching quotation ${quotationId}:`, error);
+    logger.error('Error fetching quotation', { quotationId, error });
     throw error;
   }
 };
@@ -68,58 +100,109 @@ const getRFQ = async (rfqId) => {
     const rfq = await db.collection('rfqs').findOne({ _id: rfqObjectId });
     return rfq;
   } catch (error) {
-    console.error(`❌ [getRFQ] Error fetching RFQ ${rfqId}:`, error);
+    logger.error('Error fetching RFQ', { rfqId, error });
     throw error;
   }
 };
 
-// Helper function to get product with shop using native MongoDB driver (bypasses Mongoose buffering)
-const getProductWithShop = async (productId) => {
+// Create indexes the socket server relies on
+// clientMessageId is unique per sender so retried sends can be deduplicated
+const ensureMessageIndexes = async () => {
   const db = mongoose.connection.db;
   if (!db) {
-    throw new Error('Database not available');
+    return;
   }
-  
   try {
-    // Convert string ID to ObjectId
-    const ObjectId = mongoose.Types.ObjectId;
-    let productObjectId;
-    try {
-      productObjectId = productId instanceof ObjectId ? productId : new ObjectId(productId);
-    } catch (idError) {
-      throw new Error(`Invalid product ID: ${productId}`);
-    }
-    
-    // Get product using native driver (bypasses Mongoose buffering)
-    const product = await db.collection('products').findOne({ _id: productObjectId });
-    if (!product) {
-      return null;
-    }
-    
-    // Get shop using native driver if product has shop reference
-    if (product.shop) {
-      let shopObjectId;
-      try {
-        if (product.shop instanceof ObjectId) {
-          shopObjectId = product.shop;
-        } else if (typeof product.shop === 'string') {
-          shopObjectId = new ObjectId(product.shop);
-        } else {
-          shopObjectId = new ObjectId(product.shop.toString());
-        }
-        const shop = await db.collection('shops').findOne({ _id: shopObjectId });
-        product.shop = shop;
-      } catch (shopError) {
-        console.warn(`⚠️  [getProductWithShop] Could not fetch shop for product ${productId}:`, shopError.message);
-        product.shop = null;
+    await db.collection('quotationmessages').createIndex(
+      { sender: 1, clientMessageId: 1 },
+      {
+        name: 'sender_clientMessageId_unique',
+        unique: true,
+        partialFilterExpression: { clientMessageId: { $type: 'string' } }
       }
-    }
-    
-    return product;
+    );
+    // Admin review queue of flagged messages
+    await db.collection('quotationmessages').createIndex(
+      { flaggedAt: -1, _id: -1 },
+      {
+        name: 'flaggedAt_review_queue',
+        partialFilterExpression: { flaggedAt: { $exists: true } }
+      }
+    );
+    logger.info('quotationmessages indexes ready');
   } catch (error) {
-    console.error(`❌ [getProductWithShop] Error fetching product ${productId}:`, error);
-    throw error;
+    logger.warn('Could not create quotationmessages indexes', { error });
+  }
+};
+
+// Handlers are loaded once the DB connection is established
+ensureMessageIndexes();
+ensureConversationIndexes();
+ensureNotificationIndexes();
+
+// Helper to replace a message's sender ObjectId with the sender's public user info
+const populateSender = async (db, messageDoc) => {
+  try {
+    const sender = await db.collection('users').findOne(
+      { _id: messageDoc.sender },
+      { projection: { username: 1, email: 1, profile: 1 } }
+    );
+    if (sender) {
+      messageDoc.sender = sender;
+    }
+  } catch (senderError) {
+    logger.warn('Could not fetch sender info', { error: senderError });
+    // Continue without sender info
+  }
+  return messageDoc;
+};
+
+// Content filter for send-message and edit-message (configured with MESSAGE_FILTER_* variables)
+const filterMessage = createMessageFilter(loadMessageFilterConfig(process.env));
+
+const FILTER_REJECTION_MESSAGES = {
+  phone: 'Phone numbers cannot be shared in chat',
+  email: 'Email addresses cannot be shared in chat',
+  url: 'Links to other sites cannot be shared in chat',
+  words: 'Message contains words that are not allowed'
+};
+
+// Message fields recording what the content filter did: the unmasked text for moderators and
+// the rules that flagged the message for review. Unused fields are null so edits can clear them.
+const getFilterFields = (filterResult, originalText) => ({
+  originalMessage: filterResult.masked.length > 0 ? originalText : null,
+  flags: filterResult.flagged.length > 0 ? filterResult.flagged : null,
+  flaggedAt: filterResult.flagged.length > 0 ? new Date() : null
+});
+
+// Helper to get when a moderator's mute on a user ends, or null if they aren't muted
+const getMutedUntil = async (userId) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+  const user = await db.collection('users').findOne(
+    { _id: new mongoose.Types.ObjectId(userId) },
+    { projection: { mutedUntil: 1 } }
+  );
+  return user?.mutedUntil && new Date(user.mutedUntil) > new Date() ? new Date(user.mutedUntil) : null;
+};
+
+// Helper to find a message previously saved for a sender's clientMessageId (retried sends)
+const findMessageByClientMessageId = async (senderId, clientMessageId) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+  const ObjectId = mongoose.Types.ObjectId;
+  const savedMessage = await db.collection('quotationmessages').findOne({
+    sender: new ObjectId(senderId),
+    clientMessageId
+  });
+  if (savedMessage) {
+    await populateSender(db, savedMessage);
   }
+  return savedMessage;
 };
 
 // Helper function to save message using native MongoDB driver (bypasses Mongoose buffering)
@@ -142,6 +225,7 @@ const saveMessageNative = async (messageData) => {
     
     // Prepare message document
     const messageDoc = {
+      _id: messageData._id ? (messageData._id instanceof ObjectId ? messageData._id : new ObjectId(messageData._id)) : undefined,
       quotation: messageData.quotation ? (messageData.quotation instanceof ObjectId ? messageData.quotation : new ObjectId(messageData.quotation)) : undefined,
       rfq: messageData.rfq ? (messageData.rfq instanceof ObjectId ? messageData.rfq : new ObjectId(messageData.rfq)) : undefined,
       product: messageData.product ? (messageData.product instanceof ObjectId ? messageData.product : new ObjectId(messageData.product)) : undefined,
@@ -149,15 +233,25 @@ const saveMessageNative = async (messageData) => {
       receiver: messageData.receiver instanceof ObjectId ? messageData.receiver : new ObjectId(messageData.receiver),
       message: messageData.message,
       attachments: messageData.attachments || [],
+      clientMessageId: messageData.clientMessageId || undefined,
+      originalMessage: messageData.originalMessage || undefined,
+      flags: messageData.flags || undefined,
+      flaggedAt: messageData.flaggedAt || undefined,
+      deliveredAt: null,
       readAt: null,
       createdAt: new Date(),
       __v: 0
     };
     
     // Remove undefined fields (MongoDB doesn't store undefined)
+    if (messageDoc._id === undefined) delete messageDoc._id;
     if (messageDoc.quotation === undefined) delete messageDoc.quotation;
     if (messageDoc.rfq === undefined) delete messageDoc.rfq;
     if (messageDoc.product === undefined) delete messageDoc.product;
+    if (messageDoc.clientMessageId === undefined) delete messageDoc.clientMessageId;
+    if (messageDoc.originalMessage === undefined) delete messageDoc.originalMessage;
+    if (messageDoc.flags === undefined) delete messageDoc.flags;
+    if (messageDoc.flaggedAt === undefined) delete messageDoc.flaggedAt;
     
     // Validate: Either quotation, rfq, or product must be provided
     if (!messageDoc.quotation && !messageDoc.rfq && !messageDoc.product) {
@@ -170,7 +264,24 @@ const saveMessageNative = async (messageData) => {
       setTimeout(() => reject(new Error('Insert operation timeout after 8 seconds')), 8000)
     );
     
-    const result = await Promise.race([insertPromise, timeoutPromise]);
+    let result;
+    try {
+      result = await trackDbOperation('message_insert', Promise.race([insertPromise, timeoutPromise]));
+    } catch (insertError) {
+      // A retried send with the same clientMessageId hits the unique index - resolve to the original message
+      if (insertError.code === 11000 && messageDoc.clientMessageId) {
+        const existing = await db.collection('quotationmessages').findOne(
+          { sender: messageDoc.sender, clientMessageId: messageDoc.clientMessageId },
+          { projection: { _id: 1 } }
+        );
+        if (existing) {
+          result = { insertedId: existing._id, duplicate: true };
+        }
+      }
+      if (!result) {
+        throw insertError;
+      }
+    }
     
     if (!result.insertedId) {
       throw new Error('Failed to save message');
@@ -182,11 +293,15 @@ const saveMessageNative = async (messageData) => {
       setTimeout(() => reject(new Error('Find operation timeout after 5 seconds')), 5000)
     );
     
-    const savedMessage = await Promise.race([findPromise, findTimeoutPromise]);
+    const savedMessage = await trackDbOperation('message_find', Promise.race([findPromise, findTimeoutPromise]));
     
     if (!savedMessage) {
       throw new Error('Message saved but could not be retrieved');
     }
+
+    if (result.duplicate) {
+      savedMessage.duplicate = true;
+    }
     
     // Populate sender info using native driver with timeout
     if (savedMessage.sender) {
@@ -199,250 +314,840 @@ const saveMessageNative = async (messageData) => {
       );
       
       try {
-        const sender = await Promise.race([senderPromise, senderTimeoutPromise]);
+        const sender = await trackDbOperation('sender_lookup', Promise.race([senderPromise, senderTimeoutPromise]));
         if (sender) {
           savedMessage.sender = sender;
         }
       } catch (senderError) {
-        console.warn(`⚠️  [saveMessageNative] Could not fetch sender info:`, senderError.message);
+        logger.warn('Could not fetch sender info for saved message', { error: senderError });
         // Continue without sender info
       }
     }
     
     return savedMessage;
   } catch (error) {
-    console.error(`❌ [saveMessageNative] Error saving message:`, error);
+    logger.error('Error saving message', { error });
     throw error;
   }
 };
 
+// Helper to edit or soft-delete a message using native MongoDB driver
+// Only the original sender may change a message, and only within MESSAGE_EDIT_WINDOW_MS of sending.
+// The version being replaced is pushed onto editHistory so nothing is ever lost.
+// Returns the updated message (sender populated), or { code, error }.
+const updateMessageNative = async (messageId, userId, { action, message, filterFields }) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  if (!ObjectId.isValid(messageId)) {
+    return { code: ERROR_CODES.VALIDATION_FAILED, error: 'Invalid message ID' };
+  }
+  const messageObjectId = new ObjectId(messageId);
+
+  const existing = await db.collection('quotationmessages').findOne({ _id: messageObjectId });
+  // A message hidden by a moderator can't be edited back into view
+  if (!existing || existing.deletedAt || (action === 'edit' && existing.hiddenAt)) {
+    return { code: ERROR_CODES.NOT_FOUND, error: 'Message not found' };
+  }
+  if (existing.sender?.toString() !== userId) {
+    return { code: ERROR_CODES.ACCESS_DENIED, error: 'Only the sender can change this message' };
+  }
+  if (Date.now() - new Date(existing.createdAt).getTime() > MESSAGE_EDIT_WINDOW_MS) {
+    return { code: ERROR_CODES.ACCESS_DENIED, error: 'The edit window for this message has expired' };
+  }
+
+  const now = new Date();
+  const previousVersion = {
+    action,
+    message: existing.message,
+    attachments: existing.attachments || [],
+    replacedAt: now
+  };
+  const changes = action === 'delete'
+    ? { deletedAt: now }
+    : { message, editedAt: now };
+
+  // An edit is filtered again: keep the new unmasked text and flags, clear stale ones
+  const cleared = {};
+  if (filterFields) {
+    Object.entries(filterFields).forEach(([field, value]) => {
+      if (value === null) {
+        cleared[field] = '';
+      } else {
+        changes[field] = value;
+      }
+    });
+    if (filterFields.flaggedAt) {
+      Object.assign(cleared, { flagReviewedAt: '', flagReviewedBy: '' });
+    }
+  }
+
+  // deletedAt: null (and hiddenAt: null for edits) also guards against a concurrent delete or hide
+  const filter = { _id: messageObjectId, sender: new ObjectId(userId), deletedAt: null };
+  if (action === 'edit') {
+    filter.hiddenAt = null;
+  }
+  const update = { $set: changes, $push: { editHistory: previousVersion } };
+  if (Object.keys(cleared).length > 0) {
+    update.$unset = cleared;
+  }
+  const updated = await db.collection('quotationmessages').findOneAndUpdate(
+    filter,
+    update,
+    { returnDocument: 'after' }
+  );
+  if (!updated) {
+    return { code: ERROR_CODES.NOT_FOUND, error: 'Message not found' };
+  }
+
+  return populateSender(db, updated);
+};
+
+// Delivery state shown to the sender: sent -> delivered (a device of the receiver got it) -> read
+const getMessageStatus = (messageDoc) => {
+  if (messageDoc.readAt) {
+    return 'read';
+  }
+  return messageDoc.deliveredAt ? 'delivered' : 'sent';
+};
+
+// Helper to format a message document for the client (convert ObjectId to string for JSON serialization)
+const formatMessage = (messageDoc) => {
+  const sender = messageDoc.sender;
+  return {
+    _id: messageDoc._id.toString(),
+    quotation: messageDoc.quotation ? messageDoc.quotation.toString() : null,
+    rfq: messageDoc.rfq ? messageDoc.rfq.toString() : null,
+    product: messageDoc.product ? messageDoc.product.toString() : null,
+    sender: sender ? (sender._id ? {
+      _id: sender._id.toString(),
+      username: sender.username,
+      email: sender.email,
+      profile: sender.profile
+    } : { _id: sender.toString() }) : null,
+    receiver: messageDoc.receiver.toString(),
+    // Deleted messages keep their content in editHistory, and hidden messages stay stored for
+    // moderators, but both are sent as empty placeholders
+    message: messageDoc.deletedAt || messageDoc.hiddenAt ? '' : messageDoc.message,
+    clientMessageId: messageDoc.clientMessageId || null,
+    attachments: messageDoc.deletedAt || messageDoc.hiddenAt ? [] : (messageDoc.attachments || []),
+    status: getMessageStatus(messageDoc),
+    deliveredAt: messageDoc.deliveredAt || null,
+    readAt: messageDoc.readAt || null,
+    editedAt: messageDoc.editedAt || null,
+    deletedAt: messageDoc.deletedAt || null,
+    hiddenAt: messageDoc.hiddenAt || null,
+    createdAt: messageDoc.createdAt
+  };
+};
+
+// Access checks shared by the join handlers and fetch-history
+// Each returns the loaded documents on success, or { code, error } describing why access was refused
+const checkQuotationAccess = async (quotationId, userId) => {
+  const quotation = await getQuotation(quotationId);
+  if (!quotation) {
+    return { code: ERROR_CODES.NOT_FOUND, error: 'Quotation not found' };
+  }
+
+  const rfq = quotation.rfq ? await getRFQ(quotation.rfq) : null;
+  const quotationQuotedBy = quotation.quotedBy?.toString() || quotation.quotedBy;
+  const rfqRequestedBy = rfq?.requestedBy?.toString() || rfq?.requestedBy;
+
+  if (quotationQuotedBy !== userId && rfqRequestedBy !== userId) {
+    return { code: ERROR_CODES.ACCESS_DENIED, error: 'Access denied' };
+  }
+
+  return { quotation, rfq, quotationQuotedBy, rfqRequestedBy };
+};
+
+// RFQ conversations are open to the requester and to suppliers (see rfqAccess.js)
+const checkRFQAccess = async (rfqId, userId, userRole) => {
+  const rfq = await getRFQ(rfqId);
+  if (!rfq) {
+    return { code: ERROR_CODES.NOT_FOUND, error: 'RFQ not found' };
+  }
+
+  const rfqRequestedBy = rfq.requestedBy?.toString() || rfq.requestedBy;
+  const participantRole = await getRFQParticipantRole(rfq, userId, userRole);
+  if (!participantRole) {
+    return { code: ERROR_CODES.ACCESS_DENIED, error: 'Access denied' };
+  }
+
+  return { rfq, rfqRequestedBy, participantRole };
+};
+
+// Load a product and its shop with the timeout and metrics every product lookup gets
+// Uses the native MongoDB driver to bypass Mongoose buffering
+const lookupProduct = (productId) => trackDbOperation('product_lookup', Promise.race([
+  getProductWithShop(productId),
+  new Promise((_, reject) =>
+    setTimeout(() => reject(new Error('Product query timeout after 5 seconds')), 5000)
+  )
+]));
+
+const checkProductAccess = async (productId, userId, receiverId) => {
+  const product = await lookupProduct(productId);
+  if (!product) {
+    return { code: ERROR_CODES.NOT_FOUND, error: 'Product not found' };
+  }
+
+  const shopOwnerId = getShopOwnerId(product);
+  if (!shopOwnerId) {
+    return { code: ERROR_CODES.NOT_FOUND, error: 'Product shop information not available' };
+  }
+
+  const hasAccess = userId === receiverId || shopOwnerId === userId || shopOwnerId === receiverId;
+  if (!hasAccess) {
+    return { code: ERROR_CODES.ACCESS_DENIED, error: 'Access denied. You do not have permission to join this room.' };
+  }
+
+  return { product, shopOwnerId };
+};
+
+// Helper to fetch a page of messages for a conversation, newest first
+// `before` is the _id of the oldest message the client already has
+const getMessageHistory = async (filter, { before, limit }) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  const query = { ...filter };
+
+  if (before) {
+    let beforeObjectId;
+    try {
+      beforeObjectId = before instanceof ObjectId ? before : new ObjectId(before);
+    } catch (idError) {
+      throw new SocketError(ERROR_CODES.VALIDATION_FAILED, 'Invalid cursor');
+    }
+    const cursorMessage = await db.collection('quotationmessages').findOne(
+      { _id: beforeObjectId },
+      { projection: { createdAt: 1 } }
+    );
+    if (!cursorMessage) {
+      throw new SocketError(ERROR_CODES.VALIDATION_FAILED, 'Invalid cursor');
+    }
+    query.$and = [{
+      $or: [
+        { createdAt: { $lt: cursorMessage.createdAt } },
+        { createdAt: cursorMessage.createdAt, _id: { $lt: beforeObjectId } }
+      ]
+    }];
+  }
+
+  // Fetch one extra message to know whether another page exists
+  const findPromise = db.collection('quotationmessages')
+    .find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+  const timeoutPromise = new Promise((_, reject) =>
+    setTimeout(() => reject(new Error('History query timeout after 8 seconds')), 8000)
+  );
+  const messages = await trackDbOperation('message_history', Promise.race([findPromise, timeoutPromise]));
+
+  const hasMore = messages.length > limit;
+  if (hasMore) {
+    messages.pop();
+  }
+
+  // Populate sender info in one query
+  const senderIds = [...new Set(messages.map(m => m.sender?.toString()).filter(Boolean))];
+  if (senderIds.length > 0) {
+    try {
+      const senders = await db.collection('users').find(
+        { _id: { $in: senderIds.map(id => new ObjectId(id)) } },
+        { projection: { username: 1, email: 1, profile: 1 } }
+      ).toArray();
+      const sendersById = new Map(senders.map(s => [s._id.toString(), s]));
+      messages.forEach(m => {
+        const sender = sendersById.get(m.sender?.toString());
+        if (sender) {
+          m.sender = sender;
+        }
+      });
+    } catch (senderError) {
+      logger.warn('Could not fetch sender info for history', { error: senderError });
+      // Continue without sender info
+    }
+  }
+
+  return {
+    messages,
+    nextCursor: hasMore ? messages[messages.length - 1]._id.toString() : null,
+    hasMore
+  };
+};
+
+// Helper to match the messages exchanged between two users
+const betweenUsers = (userId, otherUserId) => {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const otherUserObjectId = new mongoose.Types.ObjectId(otherUserId);
+  return [
+    { sender: userObjectId, receiver: otherUserObjectId },
+    { sender: otherUserObjectId, receiver: userObjectId }
+  ];
+};
+
+// Helper to build the quotationmessages filter for a conversation
+// Product conversations are scoped to the pair of users talking about the product. RFQ
+// conversations are private to each supplier: with otherUserId the filter covers that pair,
+// otherwise only messages the user sent or received (all of them for the requester).
+// Without a user (admin review) an RFQ filter covers every message.
+const buildConversationFilter = ({ quotationId, rfqId, productId }, userId, otherUserId) => {
+  const ObjectId = mongoose.Types.ObjectId;
+  if (quotationId) {
+    return { quotation: new ObjectId(quotationId) };
+  }
+  if (rfqId) {
+    const filter = { rfq: new ObjectId(rfqId) };
+    if (userId && otherUserId) {
+      return { ...filter, $or: betweenUsers(userId, otherUserId) };
+    }
+    if (userId) {
+      const userObjectId = new ObjectId(userId);
+      return { ...filter, $or: [{ sender: userObjectId }, { receiver: userObjectId }] };
+    }
+    return filter;
+  }
+  if (productId) {
+    return { product: new ObjectId(productId), $or: betweenUsers(userId, otherUserId) };
+  }
+  return null;
+};
+
+// Helper to mark messages as read for their receiver using native MongoDB driver
+// Marks either a single message (messageId) or every unread message in the conversation up to
+// and including upToMessageId. Returns the messages that were actually updated, or { code, error }.
+const markMessagesRead = async (userId, { messageId, upToMessageId, conversation, otherUserId }) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  const userObjectId = new ObjectId(userId);
+  const targetId = messageId || upToMessageId;
+  let targetObjectId;
+  try {
+    targetObjectId = new ObjectId(targetId);
+  } catch (idError) {
+    throw new SocketError(ERROR_CODES.VALIDATION_FAILED, 'Invalid message ID');
+  }
+
+  const target = await db.collection('quotationmessages').findOne({ _id: targetObjectId });
+  if (!target) {
+    return { code: ERROR_CODES.NOT_FOUND, error: 'Message not found' };
+  }
+
+  let query;
+  if (messageId) {
+    if (target.receiver?.toString() !== userId) {
+      return { code: ERROR_CODES.ACCESS_DENIED, error: 'Access denied' };
+    }
+    query = { _id: targetObjectId, receiver: userObjectId, readAt: null };
+  } else {
+    const filter = buildConversationFilter(conversation, userId, otherUserId);
+    if (!filter) {
+      return { code: ERROR_CODES.VALIDATION_FAILED, error: 'Either quotationId, rfqId, or productId is required' };
+    }
+    // The cursor message must belong to this conversation and involve the reader
+    const inConversation = await db.collection('quotationmessages').countDocuments({ ...filter, _id: targetObjectId }, { limit: 1 });
+    if (!inConversation || (target.sender?.toString() !== userId && target.receiver?.toString() !== userId)) {
+      return { code: ERROR_CODES.ACCESS_DENIED, error: 'Access denied' };
+    }
+    query = {
+      ...filter,
+      receiver: userObjectId,
+      readAt: null,
+      createdAt: { $lte: target.createdAt }
+    };
+  }
+
+  const unread = await db.collection('quotationmessages')
+    .find(query, { projection: { _id: 1, sender: 1, receiver: 1, quotation: 1, rfq: 1, product: 1 } })
+    .toArray();
+  if (unread.length === 0) {
+    return { messages: [], readAt: null };
+  }
+
+  const readAt = new Date();
+  const unreadIds = unread.map(m => m._id);
+  await db.collection('quotationmessages').updateMany(
+    { _id: { $in: unreadIds }, readAt: null },
+    { $set: { readAt } }
+  );
+  // A read message was delivered too, even if the client never acknowledged it
+  await db.collection('quotationmessages').updateMany(
+    { _id: { $in: unreadIds }, deliveredAt: null },
+    { $set: { deliveredAt: readAt } }
+  );
+
+  return { messages: unread, readAt };
+};
+
+// Helper to record that messages reached one of their receiver's devices using native MongoDB driver
+// Only the receiver's own, not yet delivered messages are updated; returns those messages.
+const markMessagesDelivered = async (userId, messageIds) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  const query = {
+    _id: { $in: messageIds.map(id => new ObjectId(id)) },
+    receiver: new ObjectId(userId),
+    deliveredAt: null
+  };
+  const undelivered = await db.collection('quotationmessages')
+    .find(query, { projection: { _id: 1, sender: 1, receiver: 1, quotation: 1, rfq: 1, product: 1 } })
+    .toArray();
+  if (undelivered.length === 0) {
+    return { messages: [], deliveredAt: null };
+  }
+
+  const deliveredAt = new Date();
+  await db.collection('quotationmessages').updateMany(
+    { _id: { $in: undelivered.map(m => m._id) }, deliveredAt: null },
+    { $set: { deliveredAt } }
+  );
+
+  return { messages: undelivered, deliveredAt };
+};
+
+// Group message IDs by sender, for receipts sent to each sender's personal room
+const groupIdsBySender = (messages) => {
+  const idsBySender = new Map();
+  messages.forEach(m => {
+    const senderId = m.sender.toString();
+    if (!idsBySender.has(senderId)) {
+      idsBySender.set(senderId, []);
+    }
+    idsBySender.get(senderId).push(m._id.toString());
+  });
+  return idsBySender;
+};
+
+// Message fields whose change a reconnecting client needs to hear about
+const SYNC_CHANGE_FIELDS = ['createdAt', 'editedAt', 'deletedAt', 'deliveredAt', 'readAt', 'hiddenAt'];
+
+// Sync cursors are `<changedAt ms>_<message id>` - where the previous page stopped
+const parseSyncCursor = (cursor) => {
+  const match = /^(\d+)_([a-f0-9]{24})$/.exec(typeof cursor === 'string' ? cursor : '');
+  if (!match) {
+    return null;
+  }
+  return { changedAt: new Date(Number(match[1])), id: new mongoose.Types.ObjectId(match[2]) };
+};
+
+// Work out where a sync starts from `lastSyncedAt` (ISO date or epoch ms) or `lastMessageId`
+// Returns a Date, null when the client gave neither, or { error }
+const resolveSyncStart = async ({ lastSyncedAt, lastMessageId }, userId) => {
+  if (lastSyncedAt !== undefined && lastSyncedAt !== null) {
+    const since = new Date(typeof lastSyncedAt === 'string' && /^\d+$/.test(lastSyncedAt) ? Number(lastSyncedAt) : lastSyncedAt);
+    if (isNaN(since.getTime()) || since.getTime() > Date.now() + 60 * 1000) {
+      return { error: 'Invalid lastSyncedAt' };
+    }
+    return since;
+  }
+  if (lastMessageId !== undefined && lastMessageId !== null) {
+    if (!mongoose.Types.ObjectId.isValid(lastMessageId)) {
+      return { error: 'Invalid lastMessageId' };
+    }
+    const ObjectId = mongoose.Types.ObjectId;
+    const userObjectId = new ObjectId(userId);
+    const lastMessage = await mongoose.connection.db.collection('quotationmessages').findOne(
+      { _id: new ObjectId(lastMessageId), $or: [{ sender: userObjectId }, { receiver: userObjectId }] },
+      { projection: { createdAt: 1 } }
+    );
+    if (!lastMessage) {
+      return { error: 'Invalid lastMessageId' };
+    }
+    return lastMessage.createdAt;
+  }
+  return null;
+};
+
+// Messages the user sent or received that were created, edited, deleted, read or hidden after
+// `since`, oldest change first, plus the conversations that changed in that time
+const getMissedMessages = async (userId, { since, cursor, limit }) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  const userObjectId = new ObjectId(userId);
+  const syncedAt = new Date();
+
+  const pipeline = [
+    {
+      $match: {
+        $and: [
+          { $or: [{ sender: userObjectId }, { receiver: userObjectId }] },
+          // A page after `cursor` starts at the cursor's change time, which is never before `since`
+          {
+            $or: SYNC_CHANGE_FIELDS.map(field => ({
+              [field]: cursor ? { $gte: cursor.changedAt } : { $gt: since }
+            }))
+          }
+        ]
+      }
+    },
+    { $addFields: { syncChangedAt: { $max: SYNC_CHANGE_FIELDS.map(field => `$${field}`) } } }
+  ];
+  if (cursor) {
+    pipeline.push({
+      $match: {
+        $or: [
+          { syncChangedAt: { $gt: cursor.changedAt } },
+          { syncChangedAt: cursor.changedAt, _id: { $gt: cursor.id } }
+        ]
+      }
+    });
+  }
+  // Fetch one extra message to know whether another page exists
+  pipeline.push({ $sort: { syncChangedAt: 1, _id: 1 } }, { $limit: limit + 1 });
+
+  const queryPromise = Promise.all([
+    db.collection('quotationmessages').aggregate(pipeline).toArray(),
+    cursor ? [] : listChangedConversations(userId, since)
+  ]);
+  const timeoutPromise = new Promise((_, reject) =>
+    setTimeout(() => reject(new Error('Sync query timeout after 8 seconds')), 8000)
+  );
+  const [messages, conversations] = await trackDbOperation('message_sync', Promise.race([queryPromise, timeoutPromise]));
+
+  const hasMore = messages.length > limit;
+  if (hasMore) {
+    messages.pop();
+  }
+  await Promise.all(messages.map(m => populateSender(db, m)));
+
+  const last = messages[messages.length - 1];
+  return {
+    messages,
+    conversations,
+    hasMore,
+    cursor: hasMore ? `${new Date(last.syncChangedAt).getTime()}_${last._id}` : null,
+    syncedAt
+  };
+};
+
+const listChangedConversations = async (userId, since) => {
+  return mongoose.connection.db.collection('conversations')
+    .find({ participants: new mongoose.Types.ObjectId(userId), updatedAt: { $gt: since } })
+    .sort({ updatedAt: -1 })
+    .limit(SYNC_MAX_CONVERSATIONS)
+    .toArray();
+};
+
+// Build the messages-sync payload for a user
+const buildSyncPayload = async (userId, { since, cursor, limit }) => {
+  const result = await getMissedMessages(userId, { since, cursor, limit });
+  return {
+    messages: result.messages.map(formatMessage),
+    conversations: result.conversations.map(c => formatConversation(c, userId)),
+    hasMore: result.hasMore,
+    cursor: result.cursor,
+    since,
+    syncedAt: result.syncedAt
+  };
+};
+
+// Replay what a reconnecting client missed, from `lastSyncedAt` or `lastMessageId` in
+// socket.handshake.auth. Skipped when Socket.IO connection state recovery already replayed it.
+const syncMissedMessages = async (socket) => {
+  if (socket.recovered) {
+    return;
+  }
+  const since = await resolveSyncStart(socket.handshake.auth || {}, socket.userId);
+  if (!since) {
+    return;
+  }
+  if (since.error) {
+    emitError(socket, ERROR_CODES.VALIDATION_FAILED, { event: 'sync', message: since.error });
+    return;
+  }
+
+  const payload = await buildSyncPayload(socket.userId, { since, cursor: null, limit: SYNC_PAGE_SIZE });
+  socket.emit('messages-sync', payload);
+  logger.info('Sent missed messages', { userId: socket.userId, count: payload.messages.length, hasMore: payload.hasMore });
+};
+
+// How long after sending a message its sender may edit or delete it
+const MESSAGE_EDIT_WINDOW_MS = (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+
+// Longer messages are refused before they reach the content filter
+const MESSAGE_MAX_LENGTH = parseInt(process.env.MESSAGE_MAX_LENGTH, 10) || 5000;
+
+const HISTORY_DEFAULT_LIMIT = 30;
+const HISTORY_MAX_LIMIT = 100;
+const PRESENCE_MAX_USERS = 100;
+const CLIENT_MESSAGE_ID_MAX_LENGTH = 100;
+const CONVERSATIONS_DEFAULT_LIMIT = 20;
+const CONVERSATIONS_MAX_LIMIT = 50;
+const NOTIFICATIONS_DEFAULT_LIMIT = 20;
+const NOTIFICATIONS_MAX_LIMIT = 50;
+const NOTIFICATION_IDS_MAX = 100;
+const DELIVERED_IDS_MAX = 100;
+const SYNC_PAGE_SIZE = 200;
+const SYNC_MAX_CONVERSATIONS = 100;
+
 module.exports = (io, socket) => {
+  // Create the failure reporter for one event - every error carries a catalogue code,
+  // the event name and a request ID, and resolves the acknowledgement if there is one
+  const createFail = (event, data, respond, extra = {}) => {
+    const requestId = getRequestId(data);
+    return (code, message, details = {}) => emitError(socket, code, { event, requestId, message, respond, ...extra, ...details });
+  };
+
+  // Tell connected moderators about a message the content filter flagged for review
+  const notifyFlagged = (messageDoc) => {
+    if (!messageDoc.flaggedAt) {
+      return;
+    }
+    io.of('/admin').emit('message-flagged', {
+      messageId: messageDoc._id.toString(),
+      flags: messageDoc.flags,
+      sender: (messageDoc.sender?._id || messageDoc.sender).toString(),
+      receiver: messageDoc.receiver.toString(),
+      quotationId: messageDoc.quotation ? messageDoc.quotation.toString() : null,
+      rfqId: messageDoc.rfq ? messageDoc.rfq.toString() : null,
+      productId: messageDoc.product ? messageDoc.product.toString() : null,
+      flaggedAt: messageDoc.flaggedAt
+    });
+  };
+
+  // Tell senders their messages moved to `status` (delivered or read)
+  const emitMessageStatus = (idsBySender, status, at) => {
+    idsBySender.forEach((messageIds, senderId) => {
+      io.to(`user-${senderId}`).emit('message-status', {
+        messageIds,
+        status,
+        receiverId: socket.userId,
+        [status === 'read' ? 'readAt' : 'deliveredAt']: at
+      });
+    });
+  };
+
   // Join quotation room
   socket.on('join-quotation-room', async (data) => {
+    const fail = createFail('join-quotation-room', data);
+
     try {
       // Wait for DB to be ready
       const dbReady = await waitForDB();
       if (!dbReady) {
-        socket.emit('error', { message: 'Database not connected. Please try again.' });
+        fail(ERROR_CODES.DB_UNAVAILABLE);
         return;
       }
 
       const { quotationId } = data;
       
       if (!quotationId) {
-        socket.emit('error', { message: 'Quotation ID is required' });
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Quotation ID is required');
         return;
       }
 
       // Verify user has access to this quotation
-      const quotation = await getQuotation(quotationId);
-      if (!quotation) {
-        socket.emit('error', { message: 'Quotation not found' });
-        return;
-      }
-
-      const rfq = quotation.rfq ? await getRFQ(quotation.rfq) : null;
-      const quotationQuotedBy = quotation.quotedBy?.toString() || quotation.quotedBy;
-      const rfqRequestedBy = rfq?.requestedBy?.toString() || rfq?.requestedBy;
-      
-      if (quotationQuotedBy !== socket.userId && 
-          rfqRequestedBy !== socket.userId) {
-        socket.emit('error', { message: 'Access denied' });
+      const access = await checkQuotationAccess(quotationId, socket.userId);
+      if (access.error) {
+        fail(access.code, access.error);
         return;
       }
 
-      const room = `quotation-${quotationId}`;
+      const room = quotationRoom(quotationId);
       socket.join(room);
-      console.log(`User ${socket.userId} joined room: ${room}`);
+      logger.info('Joined room', { room });
       
       socket.emit('joined-room', { room, quotationId });
     } catch (error) {
-      console.error('❌ [join-quotation-room] Error:', error);
-      console.error('   Error details:', { message: error.message, stack: error.stack, quotationId: data?.quotationId });
-      socket.emit('error', { 
-        message: `Failed to join quotation room: ${error.message || 'Unknown error'}`,
-        details: error.message
-      });
+      logger.error('Handler failed', { quotationId: data?.quotationId, error });
+      fail(classifyError(error));
     }
   });
 
   // Join RFQ room
   socket.on('join-rfq-room', async (data) => {
+    const fail = createFail('join-rfq-room', data);
+
     try {
       // Wait for DB to be ready
       const dbReady = await waitForDB();
       if (!dbReady) {
-        socket.emit('error', { message: 'Database not connected. Please try again.' });
+        fail(ERROR_CODES.DB_UNAVAILABLE);
         return;
       }
 
       const { rfqId } = data;
       
       if (!rfqId) {
-        socket.emit('error', { message: 'RFQ ID is required' });
+        fail(ERROR_CODES.VALIDATION_FAILED, 'RFQ ID is required');
         return;
       }
 
       // Verify user has access to this RFQ
-      const rfq = await getRFQ(rfqId);
-      if (!rfq) {
-        socket.emit('error', { message: 'RFQ not found' });
+      const access = await checkRFQAccess(rfqId, socket.userId, socket.userRole);
+      if (access.error) {
+        fail(access.code, access.error);
         return;
       }
 
-      const rfqRequestedBy = rfq.requestedBy?.toString() || rfq.requestedBy;
-      if (rfqRequestedBy !== socket.userId) {
-        socket.emit('error', { message: 'Access denied' });
-        return;
+      // Suppliers join their room with the requester; the requester picks a supplier
+      let receiverId = data.receiverId;
+      if (access.participantRole === RFQ_ROLES.SUPPLIER) {
+        if (receiverId && receiverId !== access.rfqRequestedBy) {
+          fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid receiver');
+          return;
+        }
+        receiverId = access.rfqRequestedBy;
+      } else {
+        if (!receiverId) {
+          fail(ERROR_CODES.VALIDATION_FAILED, 'Receiver ID is required');
+          return;
+        }
+        const receiverRole = receiverId === socket.userId ? null : await getRFQParticipantRole(access.rfq, receiverId);
+        if (receiverRole !== RFQ_ROLES.SUPPLIER) {
+          fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid receiver');
+          return;
+        }
       }
 
-      const room = `rfq-${rfqId}`;
+      const room = rfqRoom(rfqId, socket.userId, receiverId);
       socket.join(room);
-      console.log(`User ${socket.userId} joined room: ${room}`);
+      logger.info('Joined room', { room });
       
-      socket.emit('joined-room', { room, rfqId });
+      socket.emit('joined-room', { room, rfqId, receiverId, participantRole: access.participantRole });
     } catch (error) {
-      console.error('❌ [join-rfq-room] Error:', error);
-      console.error('   Error details:', { message: error.message, stack: error.stack, rfqId: data?.rfqId });
-      socket.emit('error', { 
-        message: `Failed to join RFQ room: ${error.message || 'Unknown error'}`,
-        details: error.message
-      });
+      logger.error('Handler failed', { rfqId: data?.rfqId, error });
+      fail(classifyError(error));
     }
   });
 
   // Leave room
   socket.on('leave-room', (data) => {
-    const { room } = data;
-    if (room) {
-      socket.leave(room);
-      console.log(`User ${socket.userId} left room: ${room}`);
+    const fail = createFail('leave-room', data);
+    const { room } = data || {};
+    if (typeof room !== 'string' || !room) {
+      fail(ERROR_CODES.VALIDATION_FAILED, 'Room is required');
+      return;
+    }
+    // The personal room carries presence, notifications and unread counts for this socket
+    if (room === `user-${socket.userId}`) {
+      fail(ERROR_CODES.ACCESS_DENIED, 'Cannot leave your personal room');
+      return;
     }
+    socket.leave(room);
+    logger.info('Left room', { room });
   });
 
   // Join product room
   socket.on('join-product-room', async (data) => {
+    const fail = createFail('join-product-room', data);
     const startTime = Date.now();
-    console.log(`🔵 [join-product-room] Request from user ${socket.userId}`, { productId: data?.productId, receiverId: data?.receiverId });
+    logger.debug('Join product room requested', { productId: data?.productId, receiverId: data?.receiverId });
     
     try {
       // Wait for DB to be ready
-      console.log(`⏳ [join-product-room] Checking DB connection...`);
       const dbReady = await waitForDB(15, 1000); // 15 retries, 1 second each
       if (!dbReady) {
-        console.error(`❌ [join-product-room] DB not ready after retries for user ${socket.userId}`);
-        socket.emit('error', { message: 'Database not connected. Please try again.' });
+        fail(ERROR_CODES.DB_UNAVAILABLE);
         return;
       }
 
       // Double-check connection state before query
       if (mongoose.connection.readyState !== 1) {
-        console.error(`❌ [join-product-room] Connection lost after waitForDB for user ${socket.userId}`);
-        socket.emit('error', { message: 'Database connection lost. Please try again.' });
+        logger.warn('Connection lost after waitForDB');
+        fail(ERROR_CODES.DB_UNAVAILABLE);
         return;
       }
 
       const { productId, receiverId } = data;
       
       if (!productId || !receiverId) {
-        console.error(`❌ [join-product-room] Missing required fields for user ${socket.userId}`, { productId, receiverId });
-        socket.emit('error', { message: 'Product ID and receiver ID are required' });
-        return;
-      }
-
-      console.log(`🔍 [join-product-room] Fetching product ${productId} for user ${socket.userId}`);
-      console.log(`📊 [join-product-room] Connection state before query: ${mongoose.connection.readyState}`);
-      
-      // Verify product exists - use native MongoDB driver to bypass Mongoose buffering
-      const product = await Promise.race([
-        getProductWithShop(productId),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Product query timeout after 5 seconds')), 5000)
-        )
-      ]);
-      if (!product) {
-        console.error(`❌ [join-product-room] Product ${productId} not found for user ${socket.userId}`);
-        socket.emit('error', { message: `Product not found: ${productId}` });
-        return;
-      }
-
-      console.log(`✅ [join-product-room] Product found: ${product.name}, Shop: ${product.shop?._id || 'N/A'}`);
-
-      // Verify user has access (either sender or receiver)
-      const shopOwnerId = product.shop?.owner?.toString() || product.shop?.owner?._id?.toString();
-      console.log(`🔍 [join-product-room] Access check - userId: ${socket.userId}, receiverId: ${receiverId}, shopOwnerId: ${shopOwnerId}`);
-      
-      if (!shopOwnerId) {
-        console.error(`❌ [join-product-room] Shop owner not found for product ${productId}`);
-        socket.emit('error', { message: 'Product shop information not available' });
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Product ID and receiver ID are required');
         return;
       }
 
-      const hasAccess = socket.userId === receiverId || shopOwnerId === socket.userId || shopOwnerId === receiverId;
-      
-      if (!hasAccess) {
-        console.error(`❌ [join-product-room] Access denied for user ${socket.userId} to product ${productId}`);
-        socket.emit('error', { message: 'Access denied. You do not have permission to join this room.' });
+      // Verify product exists and user has access (either sender or receiver)
+      const access = await checkProductAccess(productId, socket.userId, receiverId);
+      if (access.error) {
+        logger.info('Product room access refused', { productId, code: access.code, reason: access.error });
+        fail(access.code, access.error);
         return;
       }
 
-      // Create consistent room name by sorting user IDs
-      // This ensures both users join the same room regardless of who initiates
-      const userIds = [socket.userId, receiverId].sort();
-      const room = `product-${productId}-${userIds[0]}-${userIds[1]}`;
+      const room = productRoom(productId, socket.userId, receiverId);
       socket.join(room);
       
       const duration = Date.now() - startTime;
-      console.log(`✅ [join-product-room] User ${socket.userId} joined product room: ${room} (took ${duration}ms)`);
+      logger.info('Joined room', { room, shopOwnerId: access.shopOwnerId, durationMs: duration });
       
       socket.emit('joined-room', { room, productId });
     } catch (error) {
       const duration = Date.now() - startTime;
       const connectionState = mongoose.connection.readyState;
-      console.error(`❌ [join-product-room] Error for user ${socket.userId} (took ${duration}ms, state: ${connectionState}):`, error);
-      console.error(`   Error details:`, {
-        message: error.message,
-        stack: error.stack,
+      logger.error('Handler failed', {
         productId: data?.productId,
         receiverId: data?.receiverId,
-        connectionState
+        durationMs: duration,
+        readyState: connectionState,
+        error
       });
       
-      let errorMessage = 'Failed to join room';
-      if (error.message.includes('buffering timed out')) {
-        errorMessage = 'Database connection not ready. Please try again in a moment.';
-      } else if (error.message.includes('timeout')) {
-        errorMessage = 'Query timeout. Please try again.';
-      } else {
-        errorMessage = `Failed to join room: ${error.message}`;
-      }
-      
-      socket.emit('error', { 
-        message: errorMessage,
-        details: error.message
-      });
+      fail(classifyError(error));
     }
   });
 
   // Send message
-  socket.on('send-message', async (data) => {
+  // Acknowledgement: { ok: true, message } or { ok: false, code, message }
+  socket.on('send-message', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    // Echo clientMessageId so the client knows which in-flight message failed
+    const fail = createFail('send-message', data, respond, { clientMessageId: data?.clientMessageId || null });
+
     try {
       // Wait for DB to be ready
       const dbReady = await waitForDB();
       if (!dbReady) {
-        socket.emit('error', { message: 'Database not connected. Please try again.' });
+        fail(ERROR_CODES.DB_UNAVAILABLE);
         return;
       }
 
-      const { quotationId, rfqId, productId, receiver, message, attachments } = data;
+      const { quotationId, rfqId, productId, receiver, message, attachments, clientMessageId } = data || {};
 
       if (!message || !receiver) {
-        socket.emit('error', { message: 'Message and receiver are required' });
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Message and receiver are required');
+        return;
+      }
+
+      if (typeof message !== 'string' || message.length > MESSAGE_MAX_LENGTH) {
+        fail(ERROR_CODES.VALIDATION_FAILED, `Message must be text of at most ${MESSAGE_MAX_LENGTH} characters`);
         return;
       }
 
       if (!quotationId && !rfqId && !productId) {
-        socket.emit('error', { message: 'Either quotationId, rfqId, or productId is required' });
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Either quotationId, rfqId, or productId is required');
+        return;
+      }
+
+      if (clientMessageId !== undefined && clientMessageId !== null &&
+          (typeof clientMessageId !== 'string' || !clientMessageId || clientMessageId.length > CLIENT_MESSAGE_ID_MAX_LENGTH)) {
+        fail(ERROR_CODES.VALIDATION_FAILED, `clientMessageId must be a non-empty string of at most ${CLIENT_MESSAGE_ID_MAX_LENGTH} characters`);
+        return;
+      }
+
+      // Users muted by a moderator can still read but not send
+      const mutedUntil = await getMutedUntil(socket.userId);
+      if (mutedUntil) {
+        fail(ERROR_CODES.ACCESS_DENIED, `You are muted until ${mutedUntil.toISOString()}`);
         return;
       }
 
@@ -451,7 +1156,7 @@ module.exports = (io, socket) => {
       if (quotationId) {
         const quotation = await getQuotation(quotationId);
         if (!quotation) {
-          socket.emit('error', { message: 'Quotation not found' });
+          fail(ERROR_CODES.NOT_FOUND, 'Quotation not found');
           return;
         }
         const rfq = quotation.rfq ? await getRFQ(quotation.rfq) : null;
@@ -460,80 +1165,111 @@ module.exports = (io, socket) => {
         
         if (quotationQuotedBy !== socket.userId && 
             rfqRequestedBy !== socket.userId) {
-          socket.emit('error', { message: 'Access denied' });
+          fail(ERROR_CODES.ACCESS_DENIED, 'Access denied');
           return;
         }
         if (receiver !== quotationQuotedBy && receiver !== rfqRequestedBy) {
-          socket.emit('error', { message: 'Invalid receiver' });
+          fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid receiver');
           return;
         }
-        room = `quotation-${quotationId}`;
+        room = quotationRoom(quotationId);
       } else if (rfqId) {
-        const rfq = await getRFQ(rfqId);
-        if (!rfq) {
-          socket.emit('error', { message: 'RFQ not found' });
+        const access = await checkRFQAccess(rfqId, socket.userId, socket.userRole);
+        if (access.error) {
+          fail(access.code, access.error);
           return;
         }
-        const rfqRequestedBy = rfq.requestedBy?.toString() || rfq.requestedBy;
-        if (rfqRequestedBy !== socket.userId) {
-          socket.emit('error', { message: 'Access denied' });
-          return;
+        // Suppliers talk to the requester; the requester talks to a supplier
+        if (access.participantRole === RFQ_ROLES.SUPPLIER) {
+          if (receiver !== access.rfqRequestedBy) {
+            fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid receiver');
+            return;
+          }
+        } else {
+          const receiverRole = receiver === socket.userId ? null : await getRFQParticipantRole(access.rfq, receiver);
+          if (receiverRole !== RFQ_ROLES.SUPPLIER) {
+            fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid receiver');
+            return;
+          }
         }
-        room = `rfq-${rfqId}`;
+        room = rfqRoom(rfqId, socket.userId, receiver);
       } else if (productId) {
-        // Use native MongoDB driver to bypass Mongoose buffering
-        const product = await getProductWithShop(productId);
+        const product = await lookupProduct(productId);
         if (!product) {
-          socket.emit('error', { message: 'Product not found' });
+          fail(ERROR_CODES.NOT_FOUND, 'Product not found');
           return;
         }
         // Verify receiver is shop owner or sender is B2B buyer
-        const shopOwnerId = product.shop?.owner?.toString() || product.shop?.owner?._id?.toString() || (product.shop?.owner instanceof mongoose.Types.ObjectId ? product.shop.owner.toString() : null);
+        const shopOwnerId = getShopOwnerId(product);
         if (shopOwnerId !== receiver && socket.userId !== receiver) {
-          socket.emit('error', { message: 'Access denied' });
+          fail(ERROR_CODES.ACCESS_DENIED, 'Access denied');
           return;
         }
-        // Create consistent room name by sorting user IDs
-        // This ensures both users join the same room regardless of who initiates
-        const userIds = [socket.userId, receiver].sort();
-        room = `product-${productId}-${userIds[0]}-${userIds[1]}`;
+        room = productRoom(productId, socket.userId, receiver);
+      }
+
+      // A retry of a send that already succeeded - its attachments are already used, so answer before validating them
+      if (clientMessageId) {
+        const existingMessage = await findMessageByClientMessageId(socket.userId, clientMessageId);
+        if (existingMessage) {
+          logger.info('Duplicate clientMessageId, returning original message', { clientMessageId });
+          respond({ ok: true, message: formatMessage(existingMessage), duplicate: true });
+          return;
+        }
+      }
+
+      // Resolve uploaded attachment IDs into attachment records owned by the sender
+      const resolved = await resolveAttachments(socket.userId, attachments);
+      if (resolved.error) {
+        fail(ERROR_CODES.VALIDATION_FAILED, resolved.error);
+        return;
+      }
+
+      // Mask, reject or flag contact details and filtered words
+      const filtered = filterMessage(message);
+      if (filtered.rejected) {
+        fail(ERROR_CODES.CONTENT_REJECTED, FILTER_REJECTION_MESSAGES[filtered.rejected], { rule: filtered.rejected });
+        return;
       }
 
+      // Attachments can only be used by one message - claim them under the new message's ID first
+      const messageId = new mongoose.Types.ObjectId();
+      if (!(await claimAttachments(resolved.attachments, messageId))) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Attachment is already used by another message');
+        return;
+      }
+      const release = () => releaseAttachments(resolved.attachments, messageId)
+        .catch(error => logger.warn('Could not release attachments', { messageId, error }));
+
       // Save message to database using native MongoDB driver (bypasses Mongoose buffering)
       const messageDoc = await saveMessageNative({
+        _id: messageId,
         quotation: quotationId || null,
         rfq: rfqId || null,
         product: productId || null,
         sender: socket.userId,
         receiver,
-        message,
-        attachments: attachments || []
+        message: filtered.message,
+        attachments: resolved.attachments,
+        clientMessageId: clientMessageId || null,
+        ...getFilterFields(filtered, message)
+      }).catch(async (error) => {
+        await release();
+        throw error;
       });
 
       // Format message for broadcast (convert ObjectId to string for JSON serialization)
-      const formattedMessage = {
-        _id: messageDoc._id.toString(),
-        quotation: messageDoc.quotation ? messageDoc.quotation.toString() : null,
-        rfq: messageDoc.rfq ? messageDoc.rfq.toString() : null,
-        product: messageDoc.product ? messageDoc.product.toString() : null,
-        sender: messageDoc.sender ? {
-          _id: messageDoc.sender._id.toString(),
-          username: messageDoc.sender.username,
-          email: messageDoc.sender.email,
-          profile: messageDoc.sender.profile
-        } : null,
-        receiver: messageDoc.receiver.toString(),
-        message: messageDoc.message,
-        attachments: messageDoc.attachments || [],
-        readAt: messageDoc.readAt || null,
-        createdAt: messageDoc.createdAt
-      };
+      const formattedMessage = formatMessage(messageDoc);
 
-      // Log room and receiver info for debugging
-      const roomSockets = await io.in(room).fetchSockets();
-      const receiverSockets = await io.in(`user-${receiver}`).fetchSockets();
-      console.log(`📊 [send-message] Room: ${room}, Sockets in room: ${roomSockets.length}`);
-      console.log(`📊 [send-message] Receiver: ${receiver}, Sockets in personal room: ${receiverSockets.length}`);
+      // A retried send was already saved and broadcast - just hand back the original
+      if (messageDoc.duplicate) {
+        await release();
+        logger.info('Duplicate clientMessageId, returning original message', { clientMessageId });
+        respond({ ok: true, message: formattedMessage, duplicate: true });
+        return;
+      }
+
+      notifyFlagged(messageDoc);
 
       // Broadcast to room
       io.to(room).emit('message-received', {
@@ -542,76 +1278,692 @@ module.exports = (io, socket) => {
         rfqId: rfqId || null,
         productId: productId || null
       });
-      console.log(`📤 [send-message] Broadcasted to room: ${room}`);
 
-      // Also send to receiver's personal room (if they're online)
-      io.to(`user-${receiver}`).emit('new-message', {
+      // Also notify the receiver's personal room - stored so it is replayed if they're offline
+      await notify(io, receiver, 'new-message', {
         message: formattedMessage,
         quotationId: quotationId || null,
         rfqId: rfqId || null,
         productId: productId || null
-      });
-      console.log(`📤 [send-message] Sent to receiver's personal room: user-${receiver}`);
+      }, { key: `new-message:${formattedMessage._id}` });
 
-      console.log(`✅ [send-message] Message sent by ${socket.userId} to ${receiver} in room ${room}`);
+      // Create or update the inbox conversation (best-effort - the message is already saved)
+      try {
+        const conversation = await recordMessage(messageDoc);
+        if (conversation) {
+          emitConversationUpdated(io, conversation);
+        }
+      } catch (conversationError) {
+        logger.warn('Could not update conversation', { room, error: conversationError });
+      }
+
+      // Update the receiver's unread counters
+      await emitUnreadUpdate(io, receiver, messageDoc);
+
+      respond({ ok: true, message: formattedMessage });
+      logger.info('Message sent', { messageId: formattedMessage._id, receiver, room });
     } catch (error) {
-      console.error('❌ [send-message] Error:', error);
-      console.error('   Error details:', { 
-        message: error.message, 
-        stack: error.stack,
-        userId: socket.userId,
+      logger.error('Handler failed', {
         receiver: data?.receiver,
         productId: data?.productId,
         quotationId: data?.quotationId,
-        rfqId: data?.rfqId
+        rfqId: data?.rfqId,
+        error
       });
-      socket.emit('error', { 
-        message: `Failed to send message: ${error.message || 'Unknown error'}`,
-        details: error.message
+      fail(classifyError(error));
+    }
+  });
+
+  // Edit or delete one of the user's own messages and tell the conversation
+  const changeMessage = async (event, action, data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const fail = createFail(event, data, respond);
+
+    try {
+      // Wait for DB to be ready
+      const dbReady = await waitForDB();
+      if (!dbReady) {
+        fail(ERROR_CODES.DB_UNAVAILABLE);
+        return;
+      }
+
+      const { messageId, message } = data || {};
+
+      if (!messageId) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Message ID is required');
+        return;
+      }
+      if (action === 'edit' && (typeof message !== 'string' || !message.trim())) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Message is required');
+        return;
+      }
+      if (action === 'edit' && message.length > MESSAGE_MAX_LENGTH) {
+        fail(ERROR_CODES.VALIDATION_FAILED, `Message must be text of at most ${MESSAGE_MAX_LENGTH} characters`);
+        return;
+      }
+
+      // Muted users can still delete their messages, but not rewrite them
+      if (action === 'edit') {
+        const mutedUntil = await getMutedUntil(socket.userId);
+        if (mutedUntil) {
+          fail(ERROR_CODES.ACCESS_DENIED, `You are muted until ${mutedUntil.toISOString()}`);
+          return;
+        }
+      }
+
+      let filtered = null;
+      if (action === 'edit') {
+        filtered = filterMessage(message);
+        if (filtered.rejected) {
+          fail(ERROR_CODES.CONTENT_REJECTED, FILTER_REJECTION_MESSAGES[filtered.rejected], { rule: filtered.rejected });
+          return;
+        }
+      }
+
+      const result = await updateMessageNative(messageId, socket.userId, {
+        action,
+        message: filtered ? filtered.message : message,
+        filterFields: filtered ? getFilterFields(filtered, message) : null
       });
+      if (result.error) {
+        fail(result.code, result.error);
+        return;
+      }
+
+      notifyFlagged(result);
+
+      const formattedMessage = formatMessage(result);
+      const payload = {
+        message: formattedMessage,
+        quotationId: formattedMessage.quotation,
+        rfqId: formattedMessage.rfq,
+        productId: formattedMessage.product
+      };
+
+      // Same audience as send-message: the conversation room and the receiver's personal room
+      const room = getMessageRoom(result);
+      io.to(room).to(`user-${formattedMessage.receiver}`)
+        .emit(action === 'delete' ? 'message-deleted' : 'message-updated', payload);
+
+      // A deleted message's content shouldn't linger in the receiver's notification inbox
+      if (action === 'delete') {
+        await deleteNotificationsByKey(formattedMessage.receiver, `new-message:${formattedMessage._id}`)
+          .catch(error => logger.warn('Could not remove notifications for message', { messageId, error }));
+      } else {
+        // Keep the stored new-message in step so a replay shows the edited text
+        await updateNotificationData(formattedMessage.receiver, `new-message:${formattedMessage._id}`, { message: formattedMessage })
+          .catch(error => logger.warn('Could not update notifications for message', { messageId, error }));
+      }
+
+      // A deleted message the receiver hadn't read no longer counts as unread
+      if (action === 'delete' && !result.readAt) {
+        const unread = await emitUnreadUpdate(io, formattedMessage.receiver, result);
+        if (unread) {
+          await setUnreadCount(room, formattedMessage.receiver, unread.count)
+            .catch(error => logger.warn('Could not update conversation unread count', { room, error }));
+        }
+      }
+
+      // Keep the inbox preview in sync if this was the conversation's last message
+      try {
+        const conversation = await updateLastMessagePreview(room, result);
+        if (conversation) {
+          emitConversationUpdated(io, conversation);
+        }
+      } catch (conversationError) {
+        logger.warn('Could not update conversation', { room, error: conversationError });
+      }
+
+      respond({ ok: true, message: formattedMessage });
+      logger.info(action === 'delete' ? 'Message deleted' : 'Message edited', { messageId, room });
+    } catch (error) {
+      logger.error('Handler failed', { error });
+      fail(classifyError(error));
+    }
+  };
+
+  socket.on('edit-message', (data, callback) => changeMessage('edit-message', 'edit', data, callback));
+
+  socket.on('delete-message', (data, callback) => changeMessage('delete-message', 'delete', data, callback));
+
+  // Fetch paginated message history for a conversation
+  socket.on('fetch-history', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const fail = createFail('fetch-history', data, respond);
+
+    try {
+      // Wait for DB to be ready
+      const dbReady = await waitForDB();
+      if (!dbReady) {
+        fail(ERROR_CODES.DB_UNAVAILABLE);
+        return;
+      }
+
+      const { quotationId, rfqId, productId, receiverId, before } = data || {};
+      const limit = Math.min(Math.max(parseInt(data?.limit, 10) || HISTORY_DEFAULT_LIMIT, 1), HISTORY_MAX_LIMIT);
+
+      // Verify access the same way the join handlers do
+      let access;
+      if (quotationId) {
+        access = await checkQuotationAccess(quotationId, socket.userId);
+      } else if (rfqId) {
+        access = await checkRFQAccess(rfqId, socket.userId, socket.userRole);
+      } else if (productId) {
+        if (!receiverId) {
+          fail(ERROR_CODES.VALIDATION_FAILED, 'Product ID and receiver ID are required');
+          return;
+        }
+        access = await checkProductAccess(productId, socket.userId, receiverId);
+      } else {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Either quotationId, rfqId, or productId is required');
+        return;
+      }
+
+      if (access.error) {
+        fail(access.code, access.error);
+        return;
+      }
+
+      const filter = buildConversationFilter({ quotationId, rfqId, productId }, socket.userId, receiverId);
+      const history = await getMessageHistory(filter, { before, limit });
+
+      respond({
+        ok: true,
+        messages: history.messages.map(formatMessage),
+        nextCursor: history.nextCursor,
+        hasMore: history.hasMore,
+        quotationId: quotationId || null,
+        rfqId: rfqId || null,
+        productId: productId || null
+      });
+      logger.debug('Sent message history', { count: history.messages.length });
+    } catch (error) {
+      logger.error('Handler failed', {
+        productId: data?.productId,
+        quotationId: data?.quotationId,
+        rfqId: data?.rfqId,
+        error
+      });
+      fail(classifyError(error));
     }
   });
 
-  // Typing indicator
-  socket.on('typing', (data) => {
-    const { quotationId, rfqId, productId, receiverId } = data;
-    let room;
-    
-    if (productId && receiverId) {
-      room = `product-${productId}-${receiverId}`;
-    } else if (quotationId) {
-      room = `quotation-${quotationId}`;
-    } else if (rfqId) {
-      room = `rfq-${rfqId}`;
-    } else {
-      return;
+  // Acknowledge that new-message / message-received / messages-sync messages reached this device
+  // Payload: { messageId } or { messageIds }
+  socket.on('message-delivered', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const fail = createFail('message-delivered', data, respond);
+
+    try {
+      // Wait for DB to be ready
+      const dbReady = await waitForDB();
+      if (!dbReady) {
+        fail(ERROR_CODES.DB_UNAVAILABLE);
+        return;
+      }
+
+      const ids = data?.messageId ? [data.messageId] : data?.messageIds;
+      if (!Array.isArray(ids) || ids.length === 0) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Either messageId or messageIds is required');
+        return;
+      }
+      const messageIds = [...new Set(ids.map(String))];
+      if (messageIds.length > DELIVERED_IDS_MAX || !messageIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        fail(ERROR_CODES.VALIDATION_FAILED, `messageIds must contain at most ${DELIVERED_IDS_MAX} valid message IDs`);
+        return;
+      }
+
+      const result = await markMessagesDelivered(socket.userId, messageIds);
+      if (result.messages.length > 0) {
+        emitMessageStatus(groupIdsBySender(result.messages), 'delivered', result.deliveredAt);
+      }
+
+      respond({
+        ok: true,
+        messageIds: result.messages.map(m => m._id.toString()),
+        deliveredAt: result.deliveredAt
+      });
+    } catch (error) {
+      logger.error('Handler failed', { error });
+      fail(classifyError(error));
     }
+  });
 
-    socket.to(room).emit('user-typing', {
-      userId: socket.userId,
-      typing: true
-    });
+  // Mark a message, or everything up to a message in a conversation, as read
+  socket.on('mark-read', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const fail = createFail('mark-read', data, respond);
+
+    try {
+      // Wait for DB to be ready
+      const dbReady = await waitForDB();
+      if (!dbReady) {
+        fail(ERROR_CODES.DB_UNAVAILABLE);
+        return;
+      }
+
+      const { messageId, upToMessageId, quotationId, rfqId, productId, receiverId } = data || {};
+
+      if (!messageId && !upToMessageId) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Either messageId or upToMessageId is required');
+        return;
+      }
+
+      if (!messageId && (rfqId || productId) && !receiverId) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Receiver ID is required for RFQ and product conversations');
+        return;
+      }
+
+      const result = await markMessagesRead(socket.userId, {
+        messageId,
+        upToMessageId,
+        conversation: { quotationId, rfqId, productId },
+        otherUserId: receiverId
+      });
+
+      if (result.error) {
+        fail(result.code, result.error);
+        return;
+      }
+
+      if (result.messages.length === 0) {
+        respond({ ok: true, messageIds: [], readAt: null });
+        return;
+      }
+
+      // All marked messages belong to one conversation, so they share a room
+      const first = result.messages[0];
+      const room = getMessageRoom(first);
+      const context = {
+        quotationId: first.quotation ? first.quotation.toString() : null,
+        rfqId: first.rfq ? first.rfq.toString() : null,
+        productId: first.product ? first.product.toString() : null
+      };
+      const messageIds = result.messages.map(m => m._id.toString());
+
+      // Notify each sender's personal room about their messages being read
+      const idsBySender = groupIdsBySender(result.messages);
+      await Promise.all([...idsBySender].map(([senderId, senderMessageIds]) =>
+        notify(io, senderId, 'messages-read', {
+          messageIds: senderMessageIds,
+          readBy: socket.userId,
+          readAt: result.readAt,
+          ...context
+        }, { key: `messages-read:${senderMessageIds[0]}` })
+      ));
+      emitMessageStatus(idsBySender, 'read', result.readAt);
+
+      // And everyone currently viewing the conversation
+      if (room) {
+        io.to(room).emit('messages-read', {
+          messageIds,
+          readBy: socket.userId,
+          readAt: result.readAt,
+          ...context
+        });
+      }
+
+      // Update the reader's unread counters, and the inbox conversation's copy of them
+      const unread = await emitUnreadUpdate(io, socket.userId, first);
+      if (unread && room) {
+        try {
+          await setUnreadCount(room, socket.userId, unread.count);
+        } catch (conversationError) {
+          logger.warn('Could not update conversation unread count', { room, error: conversationError });
+        }
+      }
+
+      respond({ ok: true, messageIds, readAt: result.readAt });
+      logger.debug('Messages read', { count: messageIds.length, room });
+    } catch (error) {
+      logger.error('Handler failed', {
+        messageId: data?.messageId,
+        upToMessageId: data?.upToMessageId,
+        error
+      });
+      fail(classifyError(error));
+    }
   });
 
-  // Stop typing indicator
-  socket.on('stop-typing', (data) => {
-    const { quotationId, rfqId, productId, receiverId } = data;
-    let room;
-    
-    if (productId && receiverId) {
-      room = `product-${productId}-${receiverId}`;
-    } else if (quotationId) {
-      room = `quotation-${quotationId}`;
-    } else if (rfqId) {
-      room = `rfq-${rfqId}`;
-    } else {
+  // Query online status and last-seen time for a list of users
+  socket.on('get-presence', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const fail = createFail('get-presence', data, respond);
+
+    try {
+      const userIds = Array.isArray(data?.userIds) ? [...new Set(data.userIds.map(String))] : null;
+      if (!userIds || userIds.length === 0) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'userIds must be a non-empty array');
+        return;
+      }
+      if (userIds.length > PRESENCE_MAX_USERS || !userIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        fail(ERROR_CODES.VALIDATION_FAILED, `userIds must contain at most ${PRESENCE_MAX_USERS} valid user IDs`);
+        return;
+      }
+
+      // Only people the user has a conversation with (and themselves), unless they moderate
+      if (!canModerate(socket.userRole, socket.userPermissions)) {
+        const others = userIds.filter(id => id !== socket.userId);
+        const counterparts = await filterCounterparts(socket.userId, others);
+        if (counterparts.length !== others.length) {
+          fail(ERROR_CODES.ACCESS_DENIED, 'Presence is only available for users you have a conversation with');
+          return;
+        }
+      }
+
+      const presence = await getPresence(io, userIds);
+      respond({ ok: true, presence });
+    } catch (error) {
+      logger.error('Handler failed', { error });
+      fail(classifyError(error));
+    }
+  });
+
+  // List the user's inbox conversations, most recently active first
+  socket.on('list-conversations', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const fail = createFail('list-conversations', data, respond);
+
+    try {
+      // Wait for DB to be ready
+      const dbReady = await waitForDB();
+      if (!dbReady) {
+        fail(ERROR_CODES.DB_UNAVAILABLE);
+        return;
+      }
+
+      const { before, archived } = data || {};
+      const limit = Math.min(Math.max(parseInt(data?.limit, 10) || CONVERSATIONS_DEFAULT_LIMIT, 1), CONVERSATIONS_MAX_LIMIT);
+
+      if (before && !mongoose.Types.ObjectId.isValid(before)) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid cursor');
+        return;
+      }
+
+      const page = await listConversations(socket.userId, { archived: archived === true, before, limit });
+      if (!page) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid cursor');
+        return;
+      }
+
+      respond({
+        ok: true,
+        conversations: page.conversations.map(c => formatConversation(c, socket.userId)),
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore
+      });
+    } catch (error) {
+      logger.error('Handler failed', { error });
+      fail(classifyError(error));
+    }
+  });
+
+  // Get one conversation by _id, or by quotationId / rfqId / productId + receiverId
+  socket.on('get-conversation', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const fail = createFail('get-conversation', data, respond);
+
+    try {
+      // Wait for DB to be ready
+      const dbReady = await waitForDB();
+      if (!dbReady) {
+        fail(ERROR_CODES.DB_UNAVAILABLE);
+        return;
+      }
+
+      const { conversationId, quotationId, rfqId, productId, receiverId } = data || {};
+
+      let lookup;
+      if (conversationId) {
+        if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+          fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid conversation ID');
+          return;
+        }
+        lookup = { conversationId };
+      } else {
+        const key = getConversationRoom({ quotationId, rfqId, productId }, socket.userId, receiverId);
+        if (!key) {
+          fail(ERROR_CODES.VALIDATION_FAILED, 'Either conversationId, quotationId, or rfqId or productId and receiverId is required');
+          return;
+        }
+        lookup = { key };
+      }
+
+      const conversation = await getConversation(socket.userId, lookup);
+      if (!conversation) {
+        fail(ERROR_CODES.NOT_FOUND, 'Conversation not found');
+        return;
+      }
+
+      respond({ ok: true, conversation: formatConversation(conversation, socket.userId) });
+    } catch (error) {
+      logger.error('Handler failed', { error });
+      fail(classifyError(error));
+    }
+  });
+
+  // Mute/unmute or archive/unarchive a conversation for the current user
+  socket.on('update-conversation', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const fail = createFail('update-conversation', data, respond);
+
+    try {
+      // Wait for DB to be ready
+      const dbReady = await waitForDB();
+      if (!dbReady) {
+        fail(ERROR_CODES.DB_UNAVAILABLE);
+        return;
+      }
+
+      const { conversationId, muted, archived } = data || {};
+
+      if (!conversationId || !mongoose.Types.ObjectId.isValid(conversationId)) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid conversation ID');
+        return;
+      }
+      if (typeof muted !== 'boolean' && typeof archived !== 'boolean') {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Either muted or archived is required');
+        return;
+      }
+
+      const conversation = await updateConversationFlags(socket.userId, conversationId, { muted, archived });
+      if (!conversation) {
+        fail(ERROR_CODES.NOT_FOUND, 'Conversation not found');
+        return;
+      }
+
+      const formattedConversation = formatConversation(conversation, socket.userId);
+      // Keep the user's other devices in sync
+      io.to(`user-${socket.userId}`).emit('conversation-updated', { conversation: formattedConversation });
+      respond({ ok: true, conversation: formattedConversation });
+    } catch (error) {
+      logger.error('Handler failed', { error });
+      fail(classifyError(error));
+    }
+  });
+
+  // Fetch what changed since the client's last sync - the next page of messages-sync
+  // Payload: { cursor } from the previous page, or { lastSyncedAt } / { lastMessageId } to start over
+  socket.on('sync-messages', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const fail = createFail('sync-messages', data, respond);
+
+    try {
+      // Wait for DB to be ready
+      const dbReady = await waitForDB();
+      if (!dbReady) {
+        fail(ERROR_CODES.DB_UNAVAILABLE);
+        return;
+      }
+
+      const limit = Math.min(Math.max(parseInt(data?.limit, 10) || SYNC_PAGE_SIZE, 1), SYNC_PAGE_SIZE);
+      const cursor = data?.cursor ? parseSyncCursor(data.cursor) : null;
+      if (data?.cursor && !cursor) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid cursor');
+        return;
+      }
+
+      const since = await resolveSyncStart(data || {}, socket.userId);
+      if (since && since.error) {
+        fail(ERROR_CODES.VALIDATION_FAILED, since.error);
+        return;
+      }
+      if (!since && !cursor) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'lastSyncedAt, lastMessageId or cursor is required');
+        return;
+      }
+
+      const payload = await buildSyncPayload(socket.userId, { since: since || cursor.changedAt, cursor, limit });
+      respond({ ok: true, ...payload });
+    } catch (error) {
+      logger.error('Handler failed', { error });
+      fail(classifyError(error));
+    }
+  });
+
+  // List the user's notification inbox, newest first
+  socket.on('list-notifications', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const fail = createFail('list-notifications', data, respond);
+
+    try {
+      // Wait for DB to be ready
+      const dbReady = await waitForDB();
+      if (!dbReady) {
+        fail(ERROR_CODES.DB_UNAVAILABLE);
+        return;
+      }
+
+      const { before, unreadOnly } = data || {};
+      const limit = Math.min(Math.max(parseInt(data?.limit, 10) || NOTIFICATIONS_DEFAULT_LIMIT, 1), NOTIFICATIONS_MAX_LIMIT);
+
+      if (before && !mongoose.Types.ObjectId.isValid(before)) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid cursor');
+        return;
+      }
+
+      const result = await listNotifications(socket.userId, { unreadOnly: unreadOnly === true, before, limit });
+      if (!result) {
+        fail(ERROR_CODES.VALIDATION_FAILED, 'Invalid cursor');
+        return;
+      }
+
+      respond({
+        ok: true,
+        notifications: result.notifications.map(formatNotification),
+        unreadCount: result.unreadCount,
+        nextCursor: result.nextCursor,
+        hasMore: result.hasMore
+      });
+    } catch (error) {
+      logger.error('Handler failed', { error });
+      fail(classifyError(error));
+    }
+  });
+
+  // Validate the optional notificationId / notificationIds of the inbox events
+  // Returns the IDs, null for "all notifications", or { error }
+  const getNotificationIds = (data) => {
+    const { notificationId, notificationIds, all } = data || {};
+    const ids = notificationIds !== undefined ? notificationIds : (notificationId !== undefined ? [notificationId] : null);
+    if (ids === null) {
+      return all === true ? null : { error: 'notificationId, notificationIds or all: true is required' };
+    }
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > NOTIFICATION_IDS_MAX ||
+        !ids.every(id => typeof id === 'string' && mongoose.Types.ObjectId.isValid(id))) {
+      return { error: `notificationIds must be 1-${NOTIFICATION_IDS_MAX} valid notification IDs` };
+    }
+    return ids;
+  };
+
+  // Mark notifications as read: one (notificationId), several (notificationIds) or all (all: true)
+  socket.on('mark-notification-read', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const fail = createFail('mark-notification-read', data, respond);
+
+    try {
+      // Wait for DB to be ready
+      const dbReady = await waitForDB();
+      if (!dbReady) {
+        fail(ERROR_CODES.DB_UNAVAILABLE);
+        return;
+      }
+
+      const ids = getNotificationIds(data);
+      if (ids && ids.error) {
+        fail(ERROR_CODES.VALIDATION_FAILED, ids.error);
+        return;
+      }
+
+      const result = await markNotificationsRead(socket.userId, ids);
+      // Keep the user's other devices in sync
+      socket.to(`user-${socket.userId}`).emit('notifications-read', { notificationIds: ids, readAt: result.readAt });
+      respond({ ok: true, notificationIds: ids, readAt: result.readAt, count: result.count });
+    } catch (error) {
+      logger.error('Handler failed', { error });
+      fail(classifyError(error));
+    }
+  });
+
+  // Delete notifications: one (notificationId), several (notificationIds) or all (all: true)
+  socket.on('clear-notifications', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const fail = createFail('clear-notifications', data, respond);
+
+    try {
+      // Wait for DB to be ready
+      const dbReady = await waitForDB();
+      if (!dbReady) {
+        fail(ERROR_CODES.DB_UNAVAILABLE);
+        return;
+      }
+
+      const ids = getNotificationIds(data);
+      if (ids && ids.error) {
+        fail(ERROR_CODES.VALIDATION_FAILED, ids.error);
+        return;
+      }
+
+      const cleared = await clearNotifications(socket.userId, ids);
+      socket.to(`user-${socket.userId}`).emit('notifications-cleared', { notificationIds: ids });
+      respond({ ok: true, notificationIds: ids, cleared });
+    } catch (error) {
+      logger.error('Handler failed', { error });
+      fail(classifyError(error));
+    }
+  });
+
+  // Relay typing indicators to the rest of the conversation room
+  // Only sockets that actually joined the room (passed its access check) may relay
+  const relayTyping = (data, typing) => {
+    const { quotationId, rfqId, productId, receiverId } = data || {};
+    const room = getConversationRoom({ quotationId, rfqId, productId }, socket.userId, receiverId);
+    if (!room || !socket.rooms.has(room)) {
       return;
     }
 
     socket.to(room).emit('user-typing', {
       userId: socket.userId,
-      typing: false
+      typing,
+      quotationId: quotationId || null,
+      rfqId: rfqId || null,
+      productId: productId || null
     });
-  });
+  };
+
+  // Typing indicator
+  socket.on('typing', (data) => relayTyping(data, true));
+
+  // Stop typing indicator
+  socket.on('stop-typing', (data) => relayTyping(data, false));
 };
 
+// Message helpers shared with the admin namespace (adminHandlers.js)
+module.exports.waitForDB = waitForDB;
+module.exports.formatMessage = formatMessage;
+module.exports.populateSender = populateSender;
+module.exports.buildConversationFilter = buildConversationFilter;
+module.exports.getMessageHistory = getMessageHistory;
+
+// Reconnect sync, run by the connection handler in server.js
+module.exports.syncMissedMessages = syncMissedMessages;
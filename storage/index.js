@@ -0,0 +1,22 @@
+const path = require('path');
+const createLocalDiskStorage = require('./localDiskStorage');
+
+// Attachment storage backends
+// Every backend implements the same interface:
+//   save(buffer) -> Promise<key>      store file contents, returning an opaque storage key
+//   createReadStream(key) -> Readable open stored contents for download
+//   remove(key) -> Promise<void>      delete stored contents
+// Selected with ATTACHMENT_STORAGE (only `local` for now).
+
+const createStorage = (env = process.env) => {
+  const type = (env.ATTACHMENT_STORAGE || 'local').trim().toLowerCase();
+
+  if (type === 'local') {
+    const rootDir = path.resolve(__dirname, '..', env.ATTACHMENT_STORAGE_DIR || 'uploads');
+    return createLocalDiskStorage({ rootDir });
+  }
+
+  throw new Error(`Unknown ATTACHMENT_STORAGE "${env.ATTACHMENT_STORAGE}" (expected: local)`);
+};
+
+module.exports = { createStorage };
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Local-disk attachment storage
+// Files are written under `rootDir` with random names; the original file name
+// and MIME type live in the attachments collection, never in the path.
+
+const createLocalDiskStorage = ({ rootDir }) => {
+  const resolveKey = (key) => {
+    // Keys are generated here; refuse anything that could escape rootDir
+    if (!/^[a-f0-9]{2}\/[a-f0-9]{32}$/.test(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(rootDir, key);
+  };
+
+  return {
+    name: 'local',
+
+    // Store a buffer and return its storage key
+    async save(buffer) {
+      const id = crypto.randomBytes(16).toString('hex');
+      const key = `${id.slice(0, 2)}/${id}`;
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+      return key;
+    },
+
+    // Open a stored file for reading
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    // Delete a stored file; missing files are ignored
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+  };
+};
+
+module.exports = createLocalDiskStorage;
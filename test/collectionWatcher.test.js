@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getChangedFields } = require('../collectionWatcher');
+
+const FIELDS = ['approvalStatus', 'inventory.quantity'];
+
+describe('getChangedFields', () => {
+  it('reports every field of an insert', () => {
+    assert.deepStrictEqual(getChangedFields('insert', FIELDS, null, {}), FIELDS);
+  });
+
+  it('compares against the cached snapshot', () => {
+    const previous = { approvalStatus: 'pending', 'inventory.quantity': 5 };
+    const snapshot = { approvalStatus: 'approved', 'inventory.quantity': 5 };
+    assert.deepStrictEqual(getChangedFields('update', FIELDS, previous, snapshot), ['approvalStatus']);
+    assert.deepStrictEqual(getChangedFields('update', FIELDS, snapshot, snapshot), []);
+  });
+
+  it('treats a polled document without a snapshot as changing every field', () => {
+    const snapshot = { approvalStatus: 'approved', 'inventory.quantity': 5 };
+    assert.deepStrictEqual(getChangedFields('update', FIELDS, null, snapshot), FIELDS);
+  });
+
+  it('narrows an uncached change stream update to the touched fields', () => {
+    const snapshot = { approvalStatus: 'approved', 'inventory.quantity': 5 };
+    assert.deepStrictEqual(getChangedFields('update', FIELDS, null, snapshot, ['inventory']), ['inventory.quantity']);
+    assert.deepStrictEqual(getChangedFields('update', FIELDS, null, snapshot, ['name']), []);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { quotationRoom, rfqRoom, productRoom, getConversationRoom, getMessageRoom } = require('../conversationKeys');
+
+const RFQ = '64b0000000000000000000aa';
+const BUYER = '64b000000000000000000001';
+const SUPPLIER = '64b000000000000000000002';
+const OTHER_SUPPLIER = '64b000000000000000000003';
+
+describe('conversationKeys', () => {
+  it('names quotation rooms after the quotation', () => {
+    assert.strictEqual(quotationRoom(RFQ), `quotation-${RFQ}`);
+  });
+
+  it('gives each RFQ supplier a room of their own with the requester', () => {
+    assert.strictEqual(rfqRoom(RFQ, SUPPLIER, BUYER), `rfq-${RFQ}-${BUYER}-${SUPPLIER}`);
+    assert.strictEqual(rfqRoom(RFQ, BUYER, SUPPLIER), rfqRoom(RFQ, SUPPLIER, BUYER));
+    assert.notStrictEqual(rfqRoom(RFQ, BUYER, SUPPLIER), rfqRoom(RFQ, BUYER, OTHER_SUPPLIER));
+  });
+
+  it('sorts the users of product rooms', () => {
+    assert.strictEqual(productRoom(RFQ, SUPPLIER, BUYER), `product-${RFQ}-${BUYER}-${SUPPLIER}`);
+  });
+
+  it('needs the counterpart for RFQ and product conversations', () => {
+    assert.strictEqual(getConversationRoom({ rfqId: RFQ }, BUYER), null);
+    assert.strictEqual(getConversationRoom({ productId: RFQ }, BUYER), null);
+    assert.strictEqual(getConversationRoom({ rfqId: RFQ }, BUYER, SUPPLIER), rfqRoom(RFQ, BUYER, SUPPLIER));
+  });
+
+  it('derives the same room for a stored message from either side', () => {
+    const sent = { rfq: RFQ, sender: SUPPLIER, receiver: BUYER };
+    const reply = { rfq: RFQ, sender: BUYER, receiver: SUPPLIER };
+    assert.strictEqual(getMessageRoom(sent), getMessageRoom(reply));
+    assert.strictEqual(getMessageRoom({ quotation: RFQ, sender: SUPPLIER, receiver: BUYER }), quotationRoom(RFQ));
+  });
+});
@@ -0,0 +1,180 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  loadMessageFilterConfig,
+  createMessageFilter,
+  detectEmails,
+  detectUrls,
+  detectPhones,
+  createWordDetector
+} = require('../messageFilter');
+
+const texts = (matches) => matches.map(match => match.text);
+
+// Run `fn` and fail if it takes longer than `ms` - guards against patterns that backtrack
+const assertFast = (fn, ms = 200) => {
+  const start = process.hrtime.bigint();
+  fn();
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  assert.ok(elapsed < ms, `took ${elapsed.toFixed(0)} ms`);
+};
+
+describe('detectEmails', () => {
+  it('finds plain addresses', () => {
+    assert.deepStrictEqual(texts(detectEmails('mail me at john.doe+b2b@gmail.com today')), ['john.doe+b2b@gmail.com']);
+  });
+
+  it('finds spelled-out addresses', () => {
+    assert.deepStrictEqual(texts(detectEmails('john (at) gmail (dot) com')), ['john (at) gmail (dot) com']);
+    assert.deepStrictEqual(texts(detectEmails('john[at]mail[dot]co[dot]uk')), ['john[at]mail[dot]co[dot]uk']);
+  });
+
+  it('reports offsets', () => {
+    assert.deepStrictEqual(detectEmails('to: a@b.io'), [{ start: 4, end: 10, text: 'a@b.io' }]);
+  });
+
+  it('ignores text without an address', () => {
+    assert.deepStrictEqual(detectEmails('price is 20 @ 5 per unit'), []);
+  });
+
+  it('handles long input in linear time', () => {
+    assertFast(() => detectEmails('a'.repeat(40000)));
+    assertFast(() => detectEmails('a.'.repeat(20000)));
+    assertFast(() => detectEmails('a@'.repeat(20000)));
+  });
+});
+
+describe('detectUrls', () => {
+  it('finds links with and without a scheme', () => {
+    assert.deepStrictEqual(texts(detectUrls('see https://example.org/x?y=1 or www.shop.pk')), ['https://example.org/x?y=1', 'www.shop.pk']);
+    assert.deepStrictEqual(texts(detectUrls('order at mystore.com/cart now')), ['mystore.com/cart']);
+  });
+
+  it('skips allowed domains and their subdomains', () => {
+    assert.deepStrictEqual(detectUrls('https://sellola.com and cdn.sellola.com', ['sellola.com']), []);
+    assert.deepStrictEqual(texts(detectUrls('notsellola.com', ['sellola.com'])), ['notsellola.com']);
+  });
+
+  it('ignores ordinary sentences', () => {
+    assert.deepStrictEqual(detectUrls('Ready by 5.30. Thanks'), []);
+  });
+
+  it('handles long input in linear time', () => {
+    assertFast(() => detectUrls('a'.repeat(40000)));
+    assertFast(() => detectUrls('a.'.repeat(20000)));
+  });
+});
+
+describe('detectPhones', () => {
+  it('finds local and international numbers', () => {
+    assert.deepStrictEqual(texts(detectPhones('call 03001234567')), ['03001234567']);
+    assert.deepStrictEqual(texts(detectPhones('call 0300-1234567')), ['0300-1234567']);
+    assert.deepStrictEqual(texts(detectPhones('call +92 300 1234567')), ['+92 300 1234567']);
+    assert.deepStrictEqual(texts(detectPhones('call 300 123 4567')), ['300 123 4567']);
+    assert.deepStrictEqual(texts(detectPhones('call (21) 34567890')), ['21) 34567890']);
+  });
+
+  it('accepts short numbers only with a leading +', () => {
+    assert.deepStrictEqual(texts(detectPhones('+4412345')), ['+4412345']);
+    assert.deepStrictEqual(detectPhones('4412345'), []);
+  });
+
+  it('ignores order numbers and quantities', () => {
+    assert.deepStrictEqual(detectPhones('Order 1234567890 units'), []);
+    assert.deepStrictEqual(detectPhones('Order 12345 67890 units'), []);
+    assert.deepStrictEqual(detectPhones('500 pieces at 1200 each'), []);
+  });
+
+  it('ignores dates and times', () => {
+    assert.deepStrictEqual(detectPhones('meeting 2024-05-01 10:30'), []);
+    assert.deepStrictEqual(detectPhones('delivery 01.05.2024 14:00'), []);
+  });
+
+  it('stops a number before a time', () => {
+    assert.deepStrictEqual(texts(detectPhones('call 0300 1234567 10:30 tomorrow')), ['0300 1234567']);
+  });
+
+  it('ignores numbers longer than a phone number', () => {
+    assert.deepStrictEqual(detectPhones('IBAN 12345678901234567890'), []);
+  });
+
+  it('handles long input in linear time', () => {
+    assertFast(() => detectPhones('1'.repeat(40000)));
+    assertFast(() => detectPhones('1 '.repeat(20000)));
+  });
+});
+
+describe('createWordDetector', () => {
+  it('matches whole words and phrases, ignoring case', () => {
+    const detect = createWordDetector(['whatsapp', 'pay outside']);
+    assert.deepStrictEqual(texts(detect('Add me on WhatsApp, we can pay outside')), ['WhatsApp', 'pay outside']);
+    assert.deepStrictEqual(detect('whatsappening'), []);
+  });
+
+  it('treats letters outside ASCII as part of a word', () => {
+    const detect = createWordDetector(['café']);
+    assert.deepStrictEqual(texts(detect('meet at the café.')), ['café']);
+    assert.deepStrictEqual(detect('cafés'), []);
+  });
+
+  it('escapes regular expression characters', () => {
+    assert.deepStrictEqual(texts(createWordDetector(['c++'])('I write c++ code')), ['c++']);
+  });
+
+  it('matches nothing without words', () => {
+    assert.deepStrictEqual(createWordDetector([])('anything'), []);
+  });
+});
+
+describe('createMessageFilter', () => {
+  const filterWith = (env) => createMessageFilter(loadMessageFilterConfig(env));
+
+  it('masks emails, phones and words by default and flags urls', () => {
+    const filter = filterWith({ MESSAGE_FILTER_WORD_LIST: 'whatsapp' });
+    assert.deepStrictEqual(filter('whatsapp 03001234567 or a@b.com, see shop.pk'), {
+      message: '*** *** or ***, see shop.pk',
+      masked: ['email', 'phone', 'words'],
+      flagged: ['url'],
+      rejected: null
+    });
+  });
+
+  it('rejects with the first matching reject rule', () => {
+    const filter = filterWith({ MESSAGE_FILTER_PHONE: 'reject', MESSAGE_FILTER_URL: 'reject' });
+    const result = filter('visit shop.pk or call 03001234567');
+    assert.strictEqual(result.rejected, 'url');
+  });
+
+  it('does not report the domain of an email as a url', () => {
+    const result = filterWith({ MESSAGE_FILTER_EMAIL: 'flag' })('a@shop.pk');
+    assert.deepStrictEqual(result.flagged, ['email']);
+    assert.strictEqual(result.message, 'a@shop.pk');
+  });
+
+  it('skips rules that are off and falls back on unknown actions', () => {
+    const filter = filterWith({ MESSAGE_FILTER_PHONE: 'off', MESSAGE_FILTER_EMAIL: 'bogus' });
+    assert.deepStrictEqual(filter('03001234567 a@b.com'), {
+      message: '03001234567 ***',
+      masked: ['email'],
+      flagged: [],
+      rejected: null
+    });
+  });
+
+  it('leaves ordinary text alone', () => {
+    const text = 'meeting 2024-05-01 10:30 - Order 1234567890 units at 5.50';
+    assert.deepStrictEqual(filterWith({})(text), { message: text, masked: [], flagged: [], rejected: null });
+  });
+
+  it('passes everything through when disabled', () => {
+    const result = filterWith({ MESSAGE_FILTER_ENABLED: 'false' })('a@b.com');
+    assert.strictEqual(result.message, 'a@b.com');
+    assert.deepStrictEqual(result.masked, []);
+  });
+
+  it('handles long input in linear time', () => {
+    const filter = filterWith({ MESSAGE_FILTER_WORD_LIST: 'whatsapp' });
+    assertFast(() => filter('a'.repeat(40000)));
+    assertFast(() => filter('a.'.repeat(20000)));
+  });
+});
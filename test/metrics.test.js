@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { register, instrumentSocket } = require('../metrics');
+const { ERROR_CODES, emitError, withRequestContext } = require('../errors');
+
+// Minimal socket: `use` middleware runs before listeners, as in Socket.IO
+const createSocket = () => {
+  const socket = new EventEmitter();
+  const middlewares = [];
+  socket.nsp = { name: '/' };
+  socket.correlationId = 'test-correlation';
+  socket.use = (fn) => middlewares.push(fn);
+  // Outgoing packets (errors sent to the client) go nowhere
+  socket.emit = () => true;
+  socket.receive = (...packet) => new Promise((resolve) => {
+    const run = (index) => {
+      if (index === middlewares.length) {
+        resolve(Promise.all(socket.listeners(packet[0]).map(listener => listener(...packet.slice(1)))));
+        return;
+      }
+      middlewares[index](packet, () => run(index + 1));
+    };
+    run(0);
+  });
+  socket.use(withRequestContext(socket));
+  instrumentSocket(socket);
+  return socket;
+};
+
+const countFor = async (event, outcome) => {
+  const metric = await register.getSingleMetric('ws_events_total').get();
+  const value = metric.values.find(v => v.labels.event === event && v.labels.outcome === outcome);
+  return value ? value.value : 0;
+};
+
+describe('instrumentSocket', () => {
+  it('counts handled events as ok', async () => {
+    const socket = createSocket();
+    socket.on('ok-event', async () => {});
+    await socket.receive('ok-event', {});
+    assert.strictEqual(await countFor('ok-event', 'ok'), 1);
+  });
+
+  it('takes the outcome from a failed acknowledgement', async () => {
+    const socket = createSocket();
+    socket.on('ack-event', async (data, callback) => callback({ ok: false, code: ERROR_CODES.NOT_FOUND }));
+    await socket.receive('ack-event', {}, () => {});
+    assert.strictEqual(await countFor('ack-event', ERROR_CODES.NOT_FOUND), 1);
+  });
+
+  it('counts errors sent without an acknowledgement', async () => {
+    const socket = createSocket();
+    socket.on('join-event', async () => {
+      await Promise.resolve();
+      emitError(socket, ERROR_CODES.ACCESS_DENIED, { event: 'join-event' });
+    });
+    await socket.receive('join-event', {});
+    assert.strictEqual(await countFor('join-event', ERROR_CODES.ACCESS_DENIED), 1);
+    assert.strictEqual(await countFor('join-event', 'ok'), 0);
+  });
+
+  it('counts a handler that throws as an error without rejecting', async () => {
+    const socket = createSocket();
+    socket.on('broken-event', async (data) => {
+      const { room } = data;
+      return room;
+    });
+    await socket.receive('broken-event');
+    assert.strictEqual(await countFor('broken-event', 'error'), 1);
+  });
+
+  it('does not carry an error over to the next event', async () => {
+    const socket = createSocket();
+    let fail = true;
+    socket.on('flaky-event', async () => {
+      if (fail) {
+        fail = false;
+        emitError(socket, ERROR_CODES.VALIDATION_FAILED, { event: 'flaky-event' });
+      }
+    });
+    await socket.receive('flaky-event', {});
+    await socket.receive('flaky-event', {});
+    assert.strictEqual(await countFor('flaky-event', ERROR_CODES.VALIDATION_FAILED), 1);
+    assert.strictEqual(await countFor('flaky-event', 'ok'), 1);
+  });
+});
@@ -0,0 +1,238 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { io: connectClient } = require('socket.io-client');
+
+// Two `node server.js` instances sharing the mongo adapter, with clients spread across them
+// The database is a single-node replica set from mongodb-memory-server, or the one named by
+// TEST_MONGODB_URI (must be a replica set - the adapter uses change streams). The tests are
+// skipped when neither is available, e.g. without network access to download mongod.
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const JWT_SECRET = 'multi-instance-test-secret';
+const READY_TIMEOUT_MS = 30000;
+const EVENT_TIMEOUT_MS = 5000;
+// How long to wait before deciding an event was not sent
+const QUIET_PERIOD_MS = 1000;
+
+const startDatabase = async () => {
+  if (process.env.TEST_MONGODB_URI) {
+    return { uri: process.env.TEST_MONGODB_URI, stop: async () => {} };
+  }
+  const { MongoMemoryReplSet } = require('mongodb-memory-server-core');
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  return { uri: replSet.getUri('sellola-multi-instance-test'), stop: () => replSet.stop() };
+};
+
+const getFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Start server.js and wait until /health/ready answers 200
+const startInstance = async (mongoUri) => {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      MONGODB_URI: mongoUri,
+      JWT_SECRET,
+      SOCKET_ADAPTER: 'mongo',
+      COLLECTION_WATCH_MODE: 'off',
+      LOG_LEVEL: 'warn',
+      LOG_FORMAT: 'json'
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-4000); });
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + READY_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`server.js exited with code ${child.exitCode}\n${stderr}`);
+    }
+    try {
+      const res = await fetch(`${url}/health/ready`);
+      if (res.status === 200) {
+        return { url, child };
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await delay(250);
+  }
+  child.kill();
+  throw new Error(`server.js was not ready after ${READY_TIMEOUT_MS} ms\n${stderr}`);
+};
+
+const stopInstance = (instance) => new Promise((resolve) => {
+  if (!instance || instance.child.exitCode !== null) {
+    resolve();
+    return;
+  }
+  instance.child.once('exit', resolve);
+  instance.child.kill();
+});
+
+const connect = (instance, userId) => new Promise((resolve, reject) => {
+  const token = jwt.sign({ userId, role: 'buyer' }, JWT_SECRET);
+  const socket = connectClient(instance.url, { auth: { token }, transports: ['websocket'], reconnection: false });
+  socket.once('connect', () => resolve(socket));
+  socket.once('connect_error', reject);
+});
+
+// Resolve with the first `event` payload that matches, or reject after EVENT_TIMEOUT_MS
+const waitForEvent = (socket, event, matches = () => true) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    socket.off(event, listener);
+    reject(new Error(`Timed out waiting for ${event}`));
+  }, EVENT_TIMEOUT_MS);
+  const listener = (payload) => {
+    if (matches(payload)) {
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(payload);
+    }
+  };
+  socket.on(event, listener);
+});
+
+// Collect `event` payloads that match during the quiet period
+const collectEvents = async (socket, event, matches = () => true) => {
+  const received = [];
+  const listener = (payload) => {
+    if (matches(payload)) {
+      received.push(payload);
+    }
+  };
+  socket.on(event, listener);
+  await delay(QUIET_PERIOD_MS);
+  socket.off(event, listener);
+  return received;
+};
+
+const getPresence = async (socket, userId) => {
+  const response = await socket.timeout(EVENT_TIMEOUT_MS).emitWithAck('get-presence', { userIds: [userId] });
+  assert.strictEqual(response.ok, true, JSON.stringify(response));
+  return response.presence[0];
+};
+
+describe('multiple instances with the mongo adapter', () => {
+  let database = null;
+  let connection = null;
+  let skipReason = null;
+  const instances = [];
+  const sockets = [];
+
+  const buyerId = new mongoose.Types.ObjectId().toString();
+  const supplierId = new mongoose.Types.ObjectId().toString();
+
+  before(async () => {
+    try {
+      database = await startDatabase();
+    } catch (error) {
+      skipReason = `no MongoDB replica set available (${error.message.split('\n')[0]})`;
+      return;
+    }
+
+    // Two active users who messaged each other recently, so each sees the other's presence
+    connection = await mongoose.createConnection(database.uri).asPromise();
+    await connection.db.collection('users').insertMany([
+      { _id: new mongoose.Types.ObjectId(buyerId), status: 'active', role: 'buyer' },
+      { _id: new mongoose.Types.ObjectId(supplierId), status: 'active', role: 'shop_owner' }
+    ]);
+    await connection.db.collection('quotationmessages').insertOne({
+      sender: new mongoose.Types.ObjectId(buyerId),
+      receiver: new mongoose.Types.ObjectId(supplierId),
+      message: 'hello',
+      createdAt: new Date()
+    });
+
+    instances.push(await startInstance(database.uri));
+    instances.push(await startInstance(database.uri));
+    // Adapters learn about each other from their first heartbeats, sent once they are installed
+    await delay(QUIET_PERIOD_MS);
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await Promise.all(instances.map(stopInstance));
+    if (connection) {
+      await connection.db.dropDatabase();
+      await connection.close();
+    }
+    if (database) {
+      await database.stop();
+    }
+  });
+
+  const open = async (instance, userId) => {
+    const socket = await connect(instance, userId);
+    sockets.push(socket);
+    return socket;
+  };
+
+  it('delivers presence to a personal room on the other instance', async (t) => {
+    if (skipReason) {
+      t.skip(skipReason);
+      return;
+    }
+    const buyer = await open(instances[0], buyerId);
+    const online = waitForEvent(buyer, 'presence-changed', p => p.userId === supplierId);
+    await open(instances[1], supplierId);
+
+    const presence = await online;
+    assert.strictEqual(presence.online, true);
+    assert.strictEqual(presence.lastSeenAt, null);
+  });
+
+  it('finds sockets connected to the other instance', async (t) => {
+    if (skipReason) {
+      t.skip(skipReason);
+      return;
+    }
+    const [buyer] = sockets;
+    const presence = await getPresence(buyer, supplierId);
+    assert.strictEqual(presence.online, true);
+  });
+
+  it('keeps a user online until their last device on any instance disconnects', async (t) => {
+    if (skipReason) {
+      t.skip(skipReason);
+      return;
+    }
+    const [buyer, supplierOnSecond] = sockets;
+
+    // A second device on the first instance is not a new arrival
+    const extraEvents = collectEvents(buyer, 'presence-changed', p => p.userId === supplierId);
+    const supplierOnFirst = await open(instances[0], supplierId);
+    assert.deepStrictEqual(await extraEvents, []);
+
+    // Leaving the second instance keeps the user online through the first
+    const leaveEvents = collectEvents(buyer, 'presence-changed', p => p.userId === supplierId);
+    supplierOnSecond.disconnect();
+    assert.deepStrictEqual(await leaveEvents, []);
+    assert.strictEqual((await getPresence(buyer, supplierId)).online, true);
+
+    const offline = waitForEvent(buyer, 'presence-changed', p => p.userId === supplierId);
+    supplierOnFirst.disconnect();
+    const presence = await offline;
+    assert.strictEqual(presence.online, false);
+    assert.ok(presence.lastSeenAt);
+    assert.strictEqual((await getPresence(buyer, supplierId)).online, false);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadRateLimitConfig, createTokenBucketLimiter } = require('../rateLimiter');
+
+// Consume `count` tokens and return how many were allowed
+const drain = (limiter, count, ...args) => {
+  let allowed = 0;
+  for (let i = 0; i < count; i += 1) {
+    if (limiter.consume(...args).allowed) {
+      allowed += 1;
+    }
+  }
+  return allowed;
+};
+
+describe('loadRateLimitConfig', () => {
+  it('reads per-event limits and falls back to the defaults', () => {
+    const config = loadRateLimitConfig({ RATE_LIMIT_FETCH_HISTORY: '5/10', RATE_LIMIT_DEFAULT: '3/60' });
+    assert.strictEqual(config.limitFor('fetch-history').capacity, 5);
+    assert.strictEqual(config.limitFor('send-message').capacity, 20);
+    assert.strictEqual(config.limitFor('get-presence').capacity, 3);
+  });
+
+  it('ignores malformed limits', () => {
+    const config = loadRateLimitConfig({ RATE_LIMIT_SEND_MESSAGE: 'lots' });
+    assert.strictEqual(config.limitFor('send-message').capacity, 20);
+  });
+
+  it('only reports configured events as having a limit', () => {
+    const config = loadRateLimitConfig({ RATE_LIMIT_FETCH_HISTORY: '5/10' });
+    assert.strictEqual(config.hasLimit('fetch-history'), true);
+    assert.strictEqual(config.hasLimit('typing'), true);
+    assert.strictEqual(config.hasLimit('made-up-event'), false);
+  });
+});
+
+describe('createTokenBucketLimiter', () => {
+  it('limits each handled event separately', () => {
+    const limiter = createTokenBucketLimiter(loadRateLimitConfig({ RATE_LIMIT_DEFAULT: '2/60' }));
+    assert.strictEqual(drain(limiter, 3, 'user', 'get-presence'), 2);
+    assert.strictEqual(drain(limiter, 3, 'user', 'fetch-notifications'), 2);
+  });
+
+  it('puts events without a handler or limit in the shared default bucket', () => {
+    const limiter = createTokenBucketLimiter(loadRateLimitConfig({ RATE_LIMIT_DEFAULT: '2/60' }));
+    assert.strictEqual(drain(limiter, 1, 'user', 'made-up-1', false), 1);
+    assert.strictEqual(drain(limiter, 1, 'user', 'made-up-2', false), 1);
+    assert.strictEqual(drain(limiter, 1, 'user', 'made-up-3', false), 0);
+  });
+
+  it('shares the typing bucket with stop-typing', () => {
+    const limiter = createTokenBucketLimiter(loadRateLimitConfig({ RATE_LIMIT_TYPING: '2/10' }));
+    assert.strictEqual(drain(limiter, 1, 'user', 'typing'), 1);
+    assert.strictEqual(drain(limiter, 2, 'user', 'stop-typing'), 1);
+  });
+
+  it('keeps users apart', () => {
+    const limiter = createTokenBucketLimiter(loadRateLimitConfig({ RATE_LIMIT_DEFAULT: '1/60' }));
+    assert.strictEqual(drain(limiter, 2, 'a', 'get-presence'), 1);
+    assert.strictEqual(drain(limiter, 2, 'b', 'get-presence'), 1);
+  });
+});
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { idOf } = require('./conversationKeys');
+const { logger } = require('./logger');
+
+// Unread message counters for the header badge and inbox
+// Counts are derived from quotationmessages (receiver + readAt: null) using the native MongoDB driver;
+// deleted and hidden messages don't count
+
+const log = logger.child({ component: 'unreadCounters' });
+
+// Helper to build the filter for one conversation's unread messages for a receiver
+// RFQ and product conversations are scoped to the counterpart who sent the messages
+const buildUnreadFilter = (userId, { quotationId, rfqId, productId, counterpartId }) => {
+  const ObjectId = mongoose.Types.ObjectId;
+  const filter = { receiver: new ObjectId(userId), readAt: null, deletedAt: null, hiddenAt: null };
+  if (quotationId) {
+    filter.quotation = new ObjectId(quotationId);
+  } else if (rfqId) {
+    filter.rfq = new ObjectId(rfqId);
+    filter.sender = new ObjectId(counterpartId);
+  } else if (productId) {
+    filter.product = new ObjectId(productId);
+    filter.sender = new ObjectId(counterpartId);
+  }
+  return filter;
+};
+
+// Aggregate unread messages for a receiver, grouped by quotation/rfq/product conversation
+const getUnreadSummary = async (userId) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  const groups = await db.collection('quotationmessages').aggregate([
+    { $match: { receiver: new ObjectId(userId), readAt: null, deletedAt: null, hiddenAt: null } },
+    {
+      $group: {
+        _id: {
+          quotation: '$quotation',
+          rfq: '$rfq',
+          product: '$product',
+          // RFQ and product chats are per pair of users, so keep the sender in the key
+          counterpart: { $cond: [{ $or: [{ $ifNull: ['$rfq', false] }, { $ifNull: ['$product', false] }] }, '$sender', null] }
+        },
+        count: { $sum: 1 },
+        lastMessageAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { lastMessageAt: -1 } }
+  ]).toArray();
+
+  const conversations = groups.map(group => ({
+    quotationId: idOf(group._id.quotation),
+    rfqId: idOf(group._id.rfq),
+    productId: idOf(group._id.product),
+    counterpartId: idOf(group._id.counterpart),
+    count: group.count,
+    lastMessageAt: group.lastMessageAt
+  }));
+
+  return {
+    total: conversations.reduce((sum, c) => sum + c.count, 0),
+    conversations
+  };
+};
+
+// Count unread messages for one conversation plus the receiver's overall total
+const getConversationUnread = async (userId, context) => {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('Database not available');
+  }
+
+  const ObjectId = mongoose.Types.ObjectId;
+  const [count, total] = await Promise.all([
+    db.collection('quotationmessages').countDocuments(buildUnreadFilter(userId, context)),
+    db.collection('quotationmessages').countDocuments({ receiver: new ObjectId(userId), readAt: null, deletedAt: null, hiddenAt: null })
+  ]);
+  return { count, total };
+};
+
+// Push the current unread numbers for the conversation a message belongs to
+// userId is the message receiver; the counterpart is the message sender
+// Returns { count, total }, or null if the counters could not be computed
+const emitUnreadUpdate = async (io, userId, messageDoc) => {
+  try {
+    const context = {
+      quotationId: idOf(messageDoc.quotation),
+      rfqId: idOf(messageDoc.rfq),
+      productId: idOf(messageDoc.product),
+      counterpartId: messageDoc.rfq || messageDoc.product ? idOf(messageDoc.sender) : null
+    };
+    const { count, total } = await getConversationUnread(userId, context);
+    io.to(`user-${userId}`).emit('unread-updated', { ...context, count, total });
+    return { count, total };
+  } catch (error) {
+    // Counters are best-effort; the client can always refetch the summary
+    log.warn('Could not update unread counters', { userId, error });
+    return null;
+  }
+};
+
+module.exports = {
+  getUnreadSummary,
+  getConversationUnread,
+  emitUnreadUpdate
+};